@@ -1,391 +1,3772 @@
 /**
- * javascript sandbox console 0.2
+ * javascript sandbox console 0.3
  * 
- * requires underscore, backbone, backbone-localStorage and jquery
+ * requires underscore, backbone and jquery
  * 
  * http://openexchangerates.github.io/javascript-sandbox-console/
  */
 var Sandbox = {
 
+	VERSION : "0.3",
+
+	/**
+	 * Sandbox.inspect
+	 * 
+	 * Inspects any value and returns a plain, JSON-safe description of it for the View to render
+	 * as an expandable tree: `{ type, preview, entries : [{ key, value, hidden }], more }`
+	 * 
+	 * Shows circular references, prototype (class) names, getters and non-enumerable keys, and
+	 * handles native objects (Maps, Sets, Dates, RegExps, Symbols, typed arrays, errors, DOM nodes)
+	 * even when they come from another window, like the sandbox iframe.
+	 * 
+	 * NB: keep this function self-contained (no libraries or outside variables), so that it can
+	 * also be used from other contexts
+	 */
+	inspect : function inspect(value, options) {
+		options = options || {};
+
+		var maxDepth = options.depth >= 0 ? options.depth : 2, // how many levels of entries to include
+			maxEntries = options.maxEntries || 100, // how many entries to list per object
+			maxPreview = options.maxPreview || 5, // how many entries to show in the one-line preview
+			maxString = options.maxString || 10000, // how long a string can get before it is cut off
+			objectToString = Object.prototype.toString,
+			functionToString = Function.prototype.toString,
+			ancestors = [];
+
+		// The internal class of an object, eg. "Map" or "Uint8Array" (works across windows)
+		function tag(obj) {
+			return objectToString.call(obj).slice(8, -1);
+		}
+
+		// Whether a function is built-in (used to leave out native prototypes)
+		function isNative(fn) {
+			try {
+				return (/\{\s*\[native code\]\s*\}\s*$/).test(functionToString.call(fn));
+			} catch(e) {
+				return false;
+			}
+		}
+
+		function truncate(string, length) {
+			return string.length > length ? string.slice(0, length) + "\u2026" : string;
+		}
+
+		// Keys are shown bare when they are valid identifiers, otherwise quoted
+		function formatKey(key) {
+			if ( typeof key === "symbol" ) return "[" + String(key) + "]";
+			return (/^[A-Za-z_$][\w$]*$/).test(key) ? key : JSON.stringify(key);
+		}
+
+		// The name of an object's constructor, taken from its prototype (or null for no prototype)
+		function className(obj) {
+			try {
+				var proto = Object.getPrototypeOf(obj),
+					ctor = proto && Object.getOwnPropertyDescriptor(proto, "constructor");
+				if ( proto === null ) return null;
+				return ctor && typeof ctor.value === "function" && ctor.value.name || tag(obj);
+			} catch(e) {
+				return tag(obj);
+			}
+		}
+
+		// Sorts objects into the kinds that are displayed differently
+		function kindOf(obj) {
+			var t = tag(obj);
+			if ( typeof obj === "function" ) return "function";
+			if ( t === "Array" || t === "Arguments" ) return "array";
+			if ( (/^(Big)?(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/).test(t) ) return "typedarray";
+			if ( (/^(Map|Set|WeakMap|WeakSet|Date|RegExp|Error|Promise|ArrayBuffer)$/).test(t) ) return t.toLowerCase();
+			if ( (/^(Number|String|Boolean|Symbol|BigInt)$/).test(t) ) return "boxed";
+			if ( obj.window === obj ) return "window";
+			if ( typeof obj.nodeType === "number" && typeof obj.nodeName === "string" ) return "node";
+			return "object";
+		}
+
+		// Describes a primitive value (strings are only quoted when nested inside objects)
+		function primitive(value, top) {
+			var type = value === null ? "null" : typeof value;
+			if ( type === "string" ) return { type : type, preview : top ? '"' + truncate(value, maxString) + '"' : JSON.stringify(truncate(value, 100)) };
+			if ( type === "number" && value === 0 && 1 / value < 0 ) return { type : type, preview : "-0" };
+			if ( type === "bigint" ) return { type : type, preview : String(value) + "n" };
+			return { type : type, preview : String(value) };
+		}
+
+		// A one-line summary of a DOM node, eg. `<div id="foo">`
+		function element(node) {
+			var html, i;
+			if ( node.nodeType === 1 ) {
+				html = "<" + node.nodeName.toLowerCase();
+				for ( i = 0; i < node.attributes.length; i++ ) {
+					html += " " + node.attributes[i].name + '="' + truncate(node.attributes[i].value, 100) + '"';
+				}
+				return html + ">";
+			}
+			if ( node.nodeType === 3 ) return JSON.stringify(truncate(node.nodeValue, 100));
+			if ( node.nodeType === 8 ) return "<!--" + truncate(node.nodeValue, 100) + "-->";
+			return node.nodeName;
+		}
+
+		// A short summary of any value, used in previews and for values nested too deep to list
+		function summarise(obj, kind, name) {
+			switch ( kind ) {
+				case "function":
+					if ( (/^class\b/).test(functionToString.call(obj)) ) return "[class " + (obj.name || "(anonymous)") + "]";
+					return "[" + tag(obj) + ": " + (obj.name || "(anonymous)") + "]";
+				case "array":
+				case "typedarray":
+					return (tag(obj) === "Arguments" ? "Arguments" : name) + "(" + obj.length + ")";
+				case "map":
+				case "set":
+					return name + "(" + obj.size + ")";
+				case "date":
+					return isNaN(obj.getTime()) ? "Invalid Date" : obj.toISOString();
+				case "regexp":
+				case "error":
+					return String(obj);
+				case "boxed":
+					return "[" + tag(obj) + ": " + primitive(obj.valueOf()).preview + "]";
+				case "node":
+					return element(obj);
+				default:
+					return name === null ? "[Object: null prototype] {\u2026}" : (name === "Object" ? "" : name + " ") + "{\u2026}";
+			}
+		}
+
+		// Lists an object's own properties, flagging accessors and non-enumerable keys as hidden
+		function properties(obj, skip) {
+			var keys = Object.getOwnPropertyNames(obj),
+				visible = [],
+				hidden = [],
+				descriptor, entry, i;
+
+			if ( Object.getOwnPropertySymbols ) keys = keys.concat(Object.getOwnPropertySymbols(obj));
+
+			for ( i = 0; i < keys.length; i++ ) {
+				if ( skip && typeof keys[i] === "string" && skip.test(keys[i]) ) continue;
+				descriptor = Object.getOwnPropertyDescriptor(obj, keys[i]);
+				entry = { key : formatKey(keys[i]) };
+
+				// Getters aren't called, as they could have side effects
+				if ( descriptor.get || descriptor.set ) {
+					entry.accessor = descriptor.get && descriptor.set ? "[Getter/Setter]" : descriptor.get ? "[Getter]" : "[Setter]";
+				} else {
+					entry.value = descriptor.value;
+				}
+
+				if ( descriptor.enumerable ) {
+					visible.push(entry);
+				} else {
+					entry.hidden = true;
+					hidden.push(entry);
+				}
+			}
+			return visible.concat(hidden);
+		}
+
+		// Builds the one-line preview from the first few visible entries, eg. `{a: 1, b: "two", …}`
+		function preview(entries, open, close, separator) {
+			var parts = [], i;
+			for ( i = 0; i < entries.length && parts.length <= maxPreview; i++ ) {
+				if ( entries[i].hidden ) continue;
+				parts.push((entries[i].index ? "" : entries[i].key + (separator || ": ")) + (entries[i].accessor || short(entries[i].value)));
+			}
+			if ( parts.length > maxPreview ) parts[maxPreview] = "\u2026";
+			return open + parts.join(", ") + close;
+		}
+
+		function short(value) {
+			if ( value === null || (typeof value !== "object" && typeof value !== "function") ) return primitive(value).preview;
+			try {
+				return summarise(value, kindOf(value), className(value));
+			} catch(e) {
+				return "{\u2026}";
+			}
+		}
+
+		// Describes an object and (if not nested too deep) its entries
+		function expand(obj, path, level) {
+			var kind = kindOf(obj),
+				name = className(obj),
+				node = { type : kind },
+				entries = [],
+				proto, i;
+
+			switch ( kind ) {
+				case "function":
+					// Top-level functions show their source, nested ones just their name
+					node.preview = level ? summarise(obj, kind) : truncate(functionToString.call(obj), maxString);
+					entries = properties(obj, /^(length|name|prototype|arguments|caller)$/);
+					break;
+
+				case "array":
+				case "typedarray":
+					for ( i = 0; i < obj.length && i < maxEntries; i++ ) {
+						entries.push(i in obj ? { key : String(i), value : obj[i], index : true } : { key : String(i), accessor : "<empty>", index : true });
+					}
+					if ( obj.length > maxEntries ) node.more = obj.length - maxEntries;
+					entries = entries.concat(properties(obj, /^(\d+|length)$/));
+					node.preview = (name === "Array" ? "" : summarise(obj, kind, name) + " ") + preview(entries, "[", "]");
+					break;
+
+				case "map":
+				case "set":
+					obj.forEach(function(value, key) {
+						entries.push(kind === "map" ? { key : short(key), value : value } : { key : String(entries.length), value : value, index : true });
+					});
+					node.preview = summarise(obj, kind, name) + " " + preview(entries, "{", "}", " => ");
+					break;
+
+				case "weakmap":
+				case "weakset":
+				case "promise":
+					node.preview = name + " {\u2026}";
+					break;
+
+				case "arraybuffer":
+					node.preview = name + " {byteLength: " + obj.byteLength + "}";
+					break;
+
+				case "window":
+					node.preview = "Window";
+					break;
+
+				case "node":
+					node.preview = element(obj);
+					for ( i = 0; obj.childNodes && i < obj.childNodes.length && i < maxEntries; i++ ) {
+						entries.push({ key : String(i), value : obj.childNodes[i], index : true });
+					}
+					break;
+
+				case "date":
+				case "regexp":
+				case "boxed":
+					node.preview = summarise(obj, kind, name);
+					entries = properties(obj, kind === "boxed" ? /^(\d+|length)$/ : null);
+					break;
+
+				case "error":
+					// Errors also keep their details, so the View can show their stack (see `Model.errorDetails`)
+					node.preview = summarise(obj, kind, name);
+					node.name = String(obj.name);
+					node.message = String(obj.message);
+					node.stack = truncate(String(obj.stack || ""), maxString);
+					entries = properties(obj);
+					break;
+
+				default:
+					entries = properties(obj);
+					node.preview = summarise(obj, kind, name).replace(/\{\u2026\}$/, "") + preview(entries, "{", "}");
+			}
+
+			// Show the prototype of class instances (but not the built-in ones, like Object.prototype)
+			proto = Object.getPrototypeOf(obj);
+			if ( proto && kind === "object" && !isNative(proto.constructor) ) {
+				entries.push({ key : "[[Prototype]]", value : proto, hidden : true });
+			}
+
+			// Cut down long lists of entries
+			if ( entries.length > maxEntries ) {
+				node.more = (node.more || 0) + entries.length - maxEntries;
+				entries = entries.slice(0, maxEntries);
+			}
+
+			// Only describe the entries if this node isn't nested too deep
+			if ( entries.length && level < maxDepth ) {
+				node.entries = [];
+				for ( i = 0; i < entries.length; i++ ) {
+					node.entries.push({
+						key : entries[i].key,
+						value : entries[i].accessor ? { type : "accessor", preview : entries[i].accessor } : describe(entries[i].value, path + (entries[i].index ? "[" + entries[i].key + "]" : "." + entries[i].key), level + 1),
+						hidden : entries[i].hidden
+					});
+				}
+			}
+			return node;
+		}
+
+		function describe(value, path, level) {
+			var node, i;
+
+			if ( value === null || (typeof value !== "object" && typeof value !== "function") ) return primitive(value, !level);
+
+			// Mark circular references, with the path to the object they point back to
+			for ( i = 0; i < ancestors.length; i++ ) {
+				if ( ancestors[i].value === value ) return { type : "circular", preview : "[Circular " + ancestors[i].path + "]" };
+			}
+
+			ancestors.push({ value : value, path : path });
+			try {
+				node = expand(value, path, level);
+			} catch(e) {
+				// Some objects (eg. cross-origin windows and proxies) throw when inspected
+				node = { type : "object", preview : "[object " + tag(value) + "]" };
+			}
+			ancestors.pop();
+
+			return node;
+		}
+
+		return describe(value, "~", 0);
+	},
+
+	/**
+	 * Sandbox.tokenize
+	 * 
+	 * A small, forgiving javascript tokenizer, for working with commands before they are evaluated
+	 * Returns a list of tokens: `{ type, value, start, end }`, without the whitespace between them
+	 * 
+	 * Types are "comment", "string", "template", "regexp", "number", "keyword", "atom" (eg. `true`
+	 * or `null`), "identifier" and "punctuator". Unterminated comments, strings, template literals
+	 * and regular expressions are flagged with `closed : false`.
+	 */
+	tokenize : function(source) {
+		var keywords = /^(async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|function|if|import|in|instanceof|let|new|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)$/,
+			atoms = /^(true|false|null|undefined|NaN|Infinity)$/,
+			number = /^(0[xXoObB][\da-fA-F_]+n?|(\d[\d_]*\.?[\d_]*|\.\d[\d_]*)([eE][+\-]?\d+)?n?)/,
+			identifier = /^#?[A-Za-z_$\u00a0-\uffff][\w$\u00a0-\uffff]*/,
+			punctuator = /^(>>>=|\.\.\.|===|!==|\*\*=|<<=|>>=|>>>|&&=|\|\|=|\?\?=|=>|==|!=|<=|>=|&&|\|\||\?\?|\?\.(?!\d)|\+\+|--|[+\-*\/%&|\^]=|\*\*|<<|>>|[{}()\[\];,<>+\-*\/%&|\^!~?:=.@])/;
+
+		// A regular expression can follow these tokens, otherwise `/` is division
+		function regexpAllowed(last) {
+			if ( !last ) return true;
+			if ( last.type === "keyword" ) return (/^(return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/).test(last.value);
+			return last.type === "punctuator" && !(/^[)\]}]$/).test(last.value);
+		}
+
+		// Finds the end of a quoted string, starting from the opening quote
+		function readString(pos, quote) {
+			for ( pos++; pos < source.length; pos++ ) {
+				if ( source.charAt(pos) === "\\" ) pos++;
+				else if ( source.charAt(pos) === quote ) return { end : pos + 1, closed : true };
+				else if ( source.charAt(pos) === "\n" ) break;
+			}
+			return { end : pos, closed : false };
+		}
+
+		// Finds the end of a template literal (including any `${}` expressions nested inside it)
+		function readTemplate(pos) {
+			for ( pos++; pos < source.length; pos++ ) {
+				if ( source.charAt(pos) === "\\" ) pos++;
+				else if ( source.charAt(pos) === "`" ) return { end : pos + 1, closed : true };
+				else if ( source.substr(pos, 2) === "${" ) {
+					pos = scan(pos + 2, [], true) - 1;
+					if ( source.charAt(pos) !== "}" ) break;
+				}
+			}
+			return { end : source.length, closed : false };
+		}
+
+		// Finds the end of a regular expression literal, including its flags
+		function readRegExp(pos) {
+			var inClass = false, ch;
+			for ( pos++; pos < source.length; pos++ ) {
+				ch = source.charAt(pos);
+				if ( ch === "\\" ) pos++;
+				else if ( ch === "[" ) inClass = true;
+				else if ( ch === "]" ) inClass = false;
+				else if ( ch === "/" && !inClass ) return { end : pos + 1 + (/^[a-z]*/).exec(source.slice(pos + 1))[0].length, closed : true };
+				else if ( ch === "\n" ) break;
+			}
+			return { end : pos, closed : false };
+		}
+
+		// Adds tokens to the list from `pos` until the end of the source (or, if `nested`, until the
+		// closing brace of a template literal's `${}`), and returns the position it stopped at
+		function scan(pos, list, nested) {
+			var depth = 0, last = null, ch, rest, match, read, token;
+
+			while ( pos < source.length ) {
+				ch = source.charAt(pos);
+				rest = source.slice(pos);
+				read = null;
+
+				if ( (/\s/).test(ch) ) {
+					pos++;
+					continue;
+				}
+
+				if ( rest.substr(0, 2) === "//" ) {
+					read = { type : "comment", end : pos + (/^[^\n]*/).exec(rest)[0].length, closed : true };
+				} else if ( rest.substr(0, 2) === "/*" ) {
+					match = rest.indexOf("*/", 2);
+					read = { type : "comment", end : match < 0 ? source.length : pos + match + 2, closed : match > -1 };
+				} else if ( ch === '"' || ch === "'" ) {
+					read = readString(pos, ch);
+					read.type = "string";
+				} else if ( ch === "`" ) {
+					read = readTemplate(pos);
+					read.type = "template";
+				} else if ( ch === "/" && regexpAllowed(last) ) {
+					read = readRegExp(pos);
+					read.type = "regexp";
+				} else if ( (match = number.exec(rest)) ) {
+					read = { type : "number", end : pos + match[0].length };
+				} else if ( (match = identifier.exec(rest)) ) {
+					read = { type : keywords.test(match[0]) ? "keyword" : atoms.test(match[0]) ? "atom" : "identifier", end : pos + match[0].length };
+				} else {
+					match = punctuator.exec(rest);
+					read = { type : "punctuator", end : pos + (match ? match[0].length : 1) };
+
+					// Keep track of braces, so that nested template expressions know where they end
+					if ( ch === "{" ) depth++;
+					if ( ch === "}" && nested && --depth < 0 ) return pos + 1;
+				}
+
+				token = { type : read.type, value : source.slice(pos, read.end), start : pos, end : read.end };
+				if ( read.closed === false ) token.closed = false;
+
+				// Comments are skipped when deciding whether a regular expression can follow
+				if ( token.type !== "comment" ) last = token;
+				list.push(token);
+				pos = read.end;
+			}
+			return pos;
+		}
+
+		var tokens = [];
+		scan(0, tokens, false);
+		return tokens;
+	},
+
+	/**
+	 * Sandbox.complete
+	 * 
+	 * Lists the property names available on an object in a scope (following its prototype chain),
+	 * for tab completion. `path` is a chain of identifiers like "foo.bar", or empty for globals.
+	 * 
+	 * NB: like `Sandbox.inspect`, this is also used inside the worker, so must be self-contained
+	 */
+	complete : function complete(scope, path) {
+		var parts = path ? path.split(".") : [],
+			names = {},
+			value = scope,
+			obj, keys, i;
+
+		// Look up the object (identifiers and property access only, so nothing else gets run)
+		try {
+			if ( parts.length ) value = scope.eval(parts[0]);
+			for ( i = 1; i < parts.length; i++ ) value = value[parts[i]];
+		} catch(e) {
+			return [];
+		}
+		if ( value === null || value === undefined ) return [];
+
+		for ( obj = Object(value); obj; obj = Object.getPrototypeOf(obj) ) {
+			keys = Object.getOwnPropertyNames(obj);
+			for ( i = 0; i < keys.length; i++ ) {
+				if ( (/^[A-Za-z_$][\w$]*$/).test(keys[i]) ) names[keys[i]] = true;
+			}
+		}
+		return Object.keys(names).sort();
+	},
+
+	/**
+	 * Sandbox.workerScript
+	 * 
+	 * The script that runs inside the Web Worker in the Model's `worker` mode. It is turned into a
+	 * string and started along with `Sandbox.inspect`, so it must be self-contained too.
+	 * 
+	 * Evaluates the commands it is sent (`{ type : "evaluate", id, code, ref }`) and posts back their
+	 * inspected results (keeping the actual values as `$<ref>` and `$_`, see `Model.keepResult`)
+	 * as `{ type : "result", id, result, error, pending }`, as well as any console
+	 * messages and uncaught errors (`{ type : "log", id, level, args }`). Also answers requests
+	 * for tab completions (`{ type : "complete", id, path }`) with `{ type : "completions", id, names }`
+	 * 
+	 * Messages are posted back with `post` (default: the worker's own `postMessage`), so that it can
+	 * also run in an isolated iframe (see `Model.frameWorker`)
+	 */
+	workerScript : function(scope, inspect, complete, post) {
+		var console = scope.console || (scope.console = {}),
+			current = null, // the id of the command being evaluated
+			latest = 0; // the latest result reference
+
+		post = post || function(message) {
+			scope.postMessage(message);
+		};
+
+		// Strings are logged as plain text, anything else is inspected
+		function format(args) {
+			var formatted = [], i;
+			for ( i = 0; i < args.length; i++ ) {
+				formatted.push(typeof args[i] === "string" ? { type : "text", preview : args[i] } : inspect(args[i]));
+			}
+			return formatted;
+		}
+
+		function keep(ref, value, error) {
+			if ( !ref ) return;
+			scope["$" + ref] = value;
+			if ( !error && ref === latest ) scope.$_ = value;
+		}
+
+		function result(id, value, error, pending) {
+			post({ type : "result", id : id, result : pending ? null : inspect(value), error : error, pending : pending });
+		}
+
+		["log", "info", "warn", "error", "debug"].forEach(function(level) {
+			var original = console[level];
+			console[level] = function() {
+				post({ type : "log", id : current, level : level, args : format(arguments) });
+				if ( typeof original === "function" ) return original.apply(console, arguments);
+			};
+		});
+
+		scope.addEventListener("error", function(e) {
+			post({ type : "log", id : null, level : "error", args : format(["Uncaught", e.error || e.message]) });
+			e.preventDefault();
+		});
+		scope.addEventListener("unhandledrejection", function(e) {
+			post({ type : "log", id : null, level : "error", args : format(["Uncaught (in promise)", e.reason]) });
+			e.preventDefault();
+		});
+
+		scope.onmessage = function(e) {
+			var message = e.data, value;
+
+			if ( message.type === "complete" ) {
+				return post({ type : "completions", id : message.id, names : complete(scope, message.path) });
+			}
+			if ( message.type !== "evaluate" ) return;
+
+			current = message.id;
+			if ( message.ref ) latest = message.ref;
+			try {
+				value = (0, eval)(message.code);
+			} catch(error) {
+				current = null;
+				keep(message.ref, error, true);
+				return result(message.id, error, true);
+			}
+			current = null;
+			keep(message.ref, value);
+
+			// Promises are reported as pending straight away (so the command doesn't count as still running)
+			if ( value && typeof value.then === "function" ) {
+				result(message.id, null, false, true);
+				value.then(function(value) {
+					keep(message.ref, value);
+					result(message.id, value);
+				}, function(error) {
+					result(message.id, error, true);
+				});
+			} else {
+				result(message.id, value);
+			}
+		};
+	},
+
+	/**
+	 * Sandbox.Stores
+	 * 
+	 * Persistence adapters for the Model's command history (see the Model's `store` option). Each one
+	 * saves JSON-safe data by key, and returns promises (jQuery Deferreds) so that asynchronous
+	 * storage can be used too: `read(key)`, `write(key, data)`, `remove(key)` and `keys(prefix)`
+	 */
+	Stores : {
+
+		// Runs a synchronous storage operation and returns a promise for its result (or exception)
+		attempt : function(operation) {
+			var deferred = $.Deferred();
+			try {
+				deferred.resolve(operation());
+			} catch(error) {
+				deferred.reject(error);
+			}
+			return deferred.promise();
+		},
+
+		// Keeps the history in memory only, so it's lost when the page reloads
+		Memory : function() {
+			var data = {},
+				attempt = Sandbox.Stores.attempt;
+
+			this.read = function(key) {
+				return attempt(function() {
+					return data.hasOwnProperty(key) ? JSON.parse(data[key]) : null;
+				});
+			};
+			this.write = function(key, value) {
+				return attempt(function() {
+					data[key] = JSON.stringify(value);
+				});
+			};
+			this.remove = function(key) {
+				return attempt(function() {
+					delete data[key];
+				});
+			};
+			this.keys = function(prefix) {
+				return attempt(function() {
+					return _.select(_.keys(data), function(key) {
+						return key.indexOf(prefix) === 0;
+					});
+				});
+			};
+		},
+
+		// Saves the history in localStorage (the default). Writing fails when the storage quota is
+		// exceeded, which the Model handles by dropping its oldest history items
+		LocalStorage : function() {
+			var attempt = Sandbox.Stores.attempt;
+
+			this.read = function(key) {
+				return attempt(function() {
+					return JSON.parse(localStorage.getItem(key));
+				});
+			};
+			this.write = function(key, value) {
+				return attempt(function() {
+					localStorage.setItem(key, JSON.stringify(value));
+				});
+			};
+			this.remove = function(key) {
+				return attempt(function() {
+					localStorage.removeItem(key);
+				});
+			};
+			this.keys = function(prefix) {
+				return attempt(function() {
+					var keys = [];
+					for ( var i = 0; i < localStorage.length; i++ ) {
+						if ( localStorage.key(i).indexOf(prefix) === 0 ) keys.push(localStorage.key(i));
+					}
+					return keys;
+				});
+			};
+
+			// Moves the history saved by the old backbone-localStorage adapter (before named sessions),
+			// which stored a list of record ids under `name` and each record under `name-id`, to `key`
+			this.legacy = function(name, key) {
+				try {
+					var ids = localStorage.getItem(name),
+						data = ids && JSON.parse(localStorage.getItem(name + "-" + ids.split(",")[0]));
+
+					if ( !data ) return null;
+					localStorage.setItem(key, JSON.stringify({ history : data.history || [] }));
+					_.each(ids.split(","), function(id) {
+						localStorage.removeItem(name + "-" + id);
+					});
+					localStorage.removeItem(name);
+					return data;
+				} catch(error) {
+					return null;
+				}
+			};
+		},
+
+		// Saves the history in an IndexedDB database (default: "SandboxConsole"), which allows
+		// much more storage than localStorage
+		IndexedDB : function(database) {
+			var db;
+
+			// Opens the database once, creating its object store if needed
+			function open() {
+				if ( db ) return db;
+				var deferred = $.Deferred();
+				try {
+					var request = indexedDB.open(database || "SandboxConsole", 1);
+					request.onupgradeneeded = function() {
+						request.result.createObjectStore("sessions");
+					};
+					request.onsuccess = function() {
+						deferred.resolve(request.result);
+					};
+					request.onerror = function() {
+						deferred.reject(request.error);
+					};
+				} catch(error) {
+					deferred.reject(error);
+				}
+				return db = deferred.promise();
+			}
+
+			// Runs a request against the object store, returning a promise for the request's result
+			// (or for the value passed to `collect` each time, for cursors)
+			function transaction(mode, makeRequest, collect) {
+				return open().pipe(function(database) {
+					var deferred = $.Deferred();
+					try {
+						var tx = database.transaction("sessions", mode),
+							request = makeRequest(tx.objectStore("sessions")),
+							result;
+
+						request.onsuccess = function() {
+							result = collect ? collect(request.result) : request.result;
+						};
+						tx.oncomplete = function() {
+							deferred.resolve(result);
+						};
+						tx.onerror = tx.onabort = function() {
+							deferred.reject(tx.error || request.error);
+						};
+					} catch(error) {
+						deferred.reject(error);
+					}
+					return deferred.promise();
+				});
+			}
+
+			this.read = function(key) {
+				return transaction("readonly", function(store) {
+					return store.get(key);
+				}).pipe(function(value) {
+					return _.isUndefined(value) ? null : value;
+				});
+			};
+			this.write = function(key, value) {
+				return transaction("readwrite", function(store) {
+					return store.put(value, key);
+				});
+			};
+			this.remove = function(key) {
+				return transaction("readwrite", function(store) {
+					return store["delete"](key);
+				});
+			};
+			this.keys = function(prefix) {
+				var keys = [];
+				return transaction("readonly", function(store) {
+					return store.openCursor();
+				}, function(cursor) {
+					if ( cursor ) {
+						if ( String(cursor.key).indexOf(prefix) === 0 ) keys.push(cursor.key);
+						cursor["continue"]();
+					}
+					return keys;
+				});
+			};
+		}
+	},
+
 	/**
 	 * The Sandbox.Model
 	 * 
-	 * Takes care of command evaluation, history and persistence via localStorage adapter
+	 * Takes care of command evaluation, history and persistence (via one of the `Sandbox.Stores`)
+	 * 
+	 * The history is saved per named session, under the key "<name>:<session>", so that several
+	 * consoles on the same site can each have their own `name`
 	 */
 	Model : Backbone.Model.extend({
-		defaults: {
-			history : [],
-			iframe : false, // if true, run `eval` inside a sandboxed iframe
-			fallback : true // if true, use native `eval` if the iframe method fails
+		// The Model's default attributes and options (returned by a function, so that each Model gets its own history list)
+		defaults: function() {
+			return {
+				history : [],
+				name : "SandboxConsole", // the storage key for this console's sessions
+				session : "default", // the name of the current session
+				store : "localStorage", // where to save the history: "memory", "localStorage", "indexedDB" or a `Sandbox.Stores` object
+				maxHistory : 200, // the maximum number of history items to keep (the oldest ones are dropped)
+				share : "prefill", // what to do with commands from a shared link: "prefill" the input, "run" them (after asking) or false to ignore links
+				shareLimit : 2000, // the maximum length of a shared link's hash
+				preload : [], // the URLs of scripts to load into the sandbox when it's created
+				iframe : false, // if true, run `eval` inside a sandboxed iframe
+				isolate : false, // if true (with `iframe`), the iframe gets the `sandbox` attribute, so it has a null origin and can't reach the page (a string adds more `allow-` flags)
+				block : [], // the globals to take away from the iframe or worker (eg. "fetch", "localStorage", "parent"), or an object of names and the code for stubs to put in their place
+				fallback : true, // if true, run commands in the page's own scope if the iframe or worker can't be used (with a warning)
+				worker : false, // if true, run commands inside a Web Worker, which is restarted when a command takes too long
+				timeout : 5000 // the time limit (in ms) for each command in `worker` mode
+			};
 		},
 		initialize: function() {
 			_.bindAll(this);
 
-			// Attempt to fetch the Model from localStorage
-			this.fetch();
+			// Set up the persistence adapter and attempt to fetch the current session's history
+			this.store = this.storeSetup(this.get('store'));
+			this.fetch({ success : this.sessionLoaded });
 
-			// Set up the iframe sandbox if needed
-			if ( this.get('iframe') ) this.iframeSetup();
+			// Read the commands from a shared link, if the page was opened with one (see `share`)
+			this.shared = this.readShare();
 
-			// When the Model is destroyed (eg. via ':clear'), erase the current history as well
+			// Set up the worker or iframe sandbox if needed, or else capture the page's own console
+			if ( this.remote() ) this.workerSetup();
+			else if ( this.get('iframe') ) this.iframeSetup();
+			else this.consoleSetup(window);
+			this.preload();
+
+			// When the Model is destroyed (eg. via ':clear'), erase the current history as well (apart
+			// from pinned items, which are saved again)
 			this.bind("destroy", function(model) {
-				model.set({history:[]});
+				var pinned = _.select(model.get('history'), function(item) {
+					return item.pinned;
+				});
+				model.set({history:pinned});
+				if ( pinned.length ) model.save();
+			});
+		},
+
+		// Returns the persistence adapter for the `store` option, falling back to keeping the
+		// history in memory if localStorage or IndexedDB aren't available (eg. in private browsing)
+		storeSetup : function(store) {
+			if ( _.isObject(store) ) return store;
+			try {
+				if ( store === "indexedDB" && window.indexedDB ) return new Sandbox.Stores.IndexedDB(this.get('name'));
+				if ( store === "localStorage" && window.localStorage ) return new Sandbox.Stores.LocalStorage();
+			} catch(error) {}
+			return new Sandbox.Stores.Memory();
+		},
+
+		// Returns the storage key for a session (default: the current one)
+		storageKey : function(session) {
+			return this.get('name') + ":" + (_.isString(session) ? session : this.get('session'));
+		},
+
+		// Backbone's persistence method, overridden to use the Model's store
+		// The saved data is only the history, because the rest of the Model's attributes are options,
+		// and only the parts of each item that `parse` restores: the one-line preview of its result,
+		// without the inspected tree, class, console messages or pending state
+		sync : function(method, model, options) {
+			var store = this.store,
+				name = this.get('name'),
+				key = this.storageKey(),
+				request;
+
+			if ( method === "read" ) {
+				request = store.read(key).pipe(function(data) {
+					// Migrate the history saved by older versions into the default session
+					if ( !data && store.legacy && key === name + ":default" ) data = store.legacy(name, key);
+					return data;
+				});
+			} else if ( method === "delete" ) {
+				request = store.remove(key);
+			} else {
+				request = this.write({ history : _.map(this.get('history'), function(item) {
+					item = _.extend({}, item);
+					if ( _.isObject(item.result) ) item.result = { preview : item.result.preview };
+					delete item._class;
+					delete item.logs;
+					delete item.dropped;
+					delete item.pending;
+					return item;
+				}) });
+			}
+
+			// Only a read passes its data on, to be parsed and set on the Model
+			return request.done(function(data) {
+				options.success(method === "read" ? data : null);
+			}).fail(options.error);
+		},
+
+		// Writes the Model's history to its store. If the store is full (eg. localStorage's quota
+		// was exceeded), the oldest (unpinned) half of the saved history is dropped and it tries again,
+		// so saving fails quietly instead of breaking the console
+		write : function(data) {
+			var model = this;
+			return this.store.write(this.storageKey(), data).pipe(null, function(error) {
+				var history = model.trimHistory(data.history.slice(), Math.floor(data.history.length / 2));
+				if ( data.history.length < 2 || history.length === data.history.length ) return error;
+				return model.write({ history : history });
+			});
+		},
+
+		// The Model is always saved under its session's key, so is never 'new' to Backbone
+		isNew : function() {
+			return false;
+		},
+
+		// Parser for restoring the Model's state from the saved data
+		parse : function(data) {
+
+			// `parse` also fires when doing a save (with no data), so don't change anything for that
+			if ( !data ) return data;
+
+			// The old backbone-localStorage adapter stored a collection, so grab the first 'model'
+			if ( _.isArray(data) ) data = data[0] || {};
+
+			// Hide the saved command history, so that they don't show up in output,
+			// and delete the results and classes from each, because they won't be needed
+			// (except for a one-line preview of each result, which is kept for transcripts)
+			var history = _.map(data.history || [], function(command) {
+				command._hidden = true;
+				if ( command.result ) {
+					command.preview = _.isObject(command.result) ? command.result.preview : String(command.result);
+					delete command.result;
+				}
+				if ( command._class ) delete command._class;
+				if ( command.logs ) delete command.logs;
+				if ( command.pending ) delete command.pending;
+				return command;
+			});
+
+			// Keep any commands entered while the saved history was loading
+			return { history : history.concat(this.get('history')) };
+		},
+
+		// Called when a session's history has been loaded. If any commands were entered while it was
+		// loading, saves the merged history straight away, then lets the View know to redraw
+		sessionLoaded : function() {
+			if ( _.detect(this.get('history'), function(item) { return !item._hidden; }) ) this.save();
+			this.trigger("session", this);
+		},
+
+		// Lists the names of the saved sessions (returns a promise)
+		sessions : function() {
+			var prefix = this.storageKey("");
+			return this.store.keys(prefix).pipe(function(keys) {
+				return _.map(keys, function(key) {
+					return key.slice(prefix.length);
+				});
+			});
+		},
+
+		// Switches to another session and loads its history, or starts it empty if it's new
+		// Returns a promise for when the history is loaded
+		switchSession : function(session) {
+			var deferred = $.Deferred();
+
+			this.set({ session : session, history : [] }, { silent : true });
+			this.fetch({
+				success : function(model) {
+					model.sessionLoaded();
+					deferred.resolve(session);
+				},
+				error : function(model, error) {
+					deferred.reject(error);
+				}
 			});
+			return deferred.promise();
+		},
+
+		// Deletes a saved session. If it's the current one, switches to the default session instead
+		// (or just clears the history, if that was the current one)
+		deleteSession : function(session) {
+			var model = this;
+			return this.store.remove(this.storageKey(session)).pipe(function() {
+				if ( session !== model.get('session') ) return session;
+				if ( session !== "default" ) return model.switchSession("default");
+				model.set({ history : [] }, { silent : true });
+				model.sessionLoaded();
+				return session;
+			});
+		},
+
+		// The number for the next command's result reference (`$1`, `$2`…), following on from the history
+		nextRef : function() {
+			return _.reduce(this.get('history'), function(memo, item) {
+				return Math.max(memo, item.ref || 0);
+			}, 0) + 1;
+		},
+
+		// Keeps the actual value of a command's result in the sandbox scope as `$<ref>`, and as `$_`
+		// if it's the latest one (and wasn't thrown). In `worker` mode, the worker keeps its own
+		// These only last as long as the scope, so they're gone after a reload or `reset`
+		keepResult : function(item, value, error) {
+			var context = this.context();
+			if ( !context || !item.ref ) return;
+
+			context["$" + item.ref] = value;
+			if ( !error && item.ref === this.lastRef ) context.$_ = value;
+		},
+
+		// Inspect an object and return a one-line text version of it (see `Sandbox.inspect`)
+		stringify : function(obj) {
+			return Sandbox.inspect(obj).preview;
+		},
+
+		// Adds a new item to the history
+		// Pass `inspected` if the item's result is already a description (see `Sandbox.inspect`)
+		addHistory: function(item, inspected) {
+			var history = this.get('history'),
+				value = item.result;
+
+			// Inspect the item's result (unless it's pending), storing a description for the View to render
+			if ( !item.pending && !inspected ) item.result = Sandbox.inspect(item.result);
+			if ( !item.pending ) this.errorDetails(item.result, item.code || item.command);
+
+			// Add the command and result to the history, dropping the oldest (unpinned) items over the limit
+			history.push(item);
+			this.trimHistory(history, this.get('maxHistory'));
+
+			// Update the history state and save the model
+			this.set({ history : history }).change();
+			this.save();
+
+			// Let listeners know about the new item, with its actual result (unless it's pending)
+			this.trigger("command", item, item.pending ? undefined : value);
+
+			return this;
+		},
+
+		// Drops the oldest unpinned items from a history, until it's no longer than `max` (or only
+		// pinned items are left). Returns the history, which is changed in place
+		trimHistory : function(history, max) {
+			var oldest;
+			while ( history.length > max && (oldest = _.detect(history, function(item) { return !item.pinned; })) ) {
+				history.splice(_.indexOf(history, oldest), 1);
+			}
+			return history;
+		},
+
+		// Removes an item from the history (eg. from the `:history` listing)
+		removeHistory : function(item) {
+			this.set({ history : _.without(this.get('history'), item) });
+			this.save();
+		},
+
+		// Pins (or unpins) a history item, so that `:clear` and the `maxHistory` limit leave it alone
+		pinHistory : function(item, pinned) {
+			if ( pinned ) item.pinned = true;
+			else delete item.pinned;
+			this.change();
+			this.save();
+		},
+
+		// Returns the history as a transcript: a list of `{ command, result }`, where `result` is
+		// the one-line preview of the item's result (kept as `preview` for the saved history)
+		transcript : function() {
+			return _.map(this.get('history'), function(item) {
+				return {
+					command : item.command,
+					result : item.result ? item.result.preview : item.preview
+				};
+			});
+		},
+
+		// Formats a transcript as "json", "markdown" (a code block with the results as comments) or
+		// "js" (a runnable script, with the results and special commands as comments)
+		exportTranscript : function(transcript, format) {
+			if ( format === "json" ) {
+				return JSON.stringify({ version : Sandbox.VERSION, commands : transcript }, null, "\t");
+			}
+
+			var script = _.map(transcript, function(entry) {
+				var command = entry.command,
+					tokens = _.reject(Sandbox.tokenize(command), function(token) {
+						return token.type === "comment";
+					}),
+					last = _.last(tokens);
+
+				// Special commands aren't javascript, so they're commented out in scripts
+				if ( (/^\s*:/).test(command) ) {
+					if ( format === "js" ) command = "// " + $.trim(command);
+				}
+				// Otherwise end each statement with a semicolon, so that the commands can't run together
+				else if ( format === "js" && last && last.value !== ";" && !(last.value === "}" && this.blockEnd(tokens)) ) {
+					command = command.slice(0, last.end) + ";" + command.slice(last.end);
+				}
+
+				// Every command ends with its result comment (a bare `// =>` if it has none), so that
+				// commands with blank lines in them can be read back
+				return command + "\n// =>" + (_.isUndefined(entry.result) ? "" : " " + String(entry.result).replace(/\n/g, "\n//    "));
+			}, this).join("\n\n");
+
+			return format === "js" ? script + "\n" : "```js\n" + script + "\n```\n";
+		},
+
+		// Whether the last of a command's tokens (a `}`) closes a block statement or a declaration (like
+		// `if (x) { ... }` or `function f() { ... }`), rather than an expression that could run on into the next
+		blockEnd : function(tokens) {
+			var keywords = /^(if|for|while|with|switch|catch)$/,
+				open, before, name;
+
+			// Finds the bracket that opens the one that closes at `index`
+			function opening(index) {
+				var depth = 0;
+				for ( ; index >= 0; index-- ) {
+					if ( tokens[index].type !== "punctuator" ) continue;
+					if ( (/^[)\]}]$/).test(tokens[index].value) ) depth++;
+					else if ( (/^[(\[{]$/).test(tokens[index].value) && !--depth ) return index;
+				}
+				return -1;
+			}
+
+			// Whether the token at `index` starts a statement
+			function starts(index) {
+				return index === 0 || (/^[;{}]$/).test(tokens[index - 1].value);
+			}
+
+			if ( (open = opening(tokens.length - 1)) < 0 ) return false;
+			before = tokens[open - 1];
+
+			// A block on its own, or after `else`, `try`, `finally`, `do` or `catch`
+			if ( starts(open) || (/^(else|try|finally|do|catch)$/).test(before.value) ) return true;
+
+			// After the head of an `if`, loop, `switch` or `catch`, or of a function declaration
+			if ( before.value === ")" && (before = opening(open - 1)) > 0 ) {
+				if ( keywords.test(tokens[before - 1].value) || (tokens[before - 1].value === "await" && before > 1 && tokens[before - 2].value === "for") ) return true;
+				name = before - 1;
+				if ( tokens[name].type === "identifier" && name > 0 ) {
+					if ( tokens[name - 1].value === "*" ) name--;
+					if ( name > 0 && tokens[name - 1].value === "function" ) {
+						return starts(name - 1) || (name > 1 && tokens[name - 2].value === "async" && starts(name - 2));
+					}
+				}
+				return false;
+			}
+
+			// The body of a class declaration
+			for ( name = open - 1; name > 0 && !starts(name); name-- );
+			return tokens[name].value === "class";
+		},
+
+		// Parses a transcript exported in any of the formats above (or a saved history) back into
+		// a list of `{ command, result }`
+		parseTranscript : function(text) {
+			var transcript = [],
+				command = [],
+				result = null,
+				fences = text.match(/```[^\n]*\n[\s\S]*?```/g),
+				data, markers;
+
+			// JSON transcripts keep the commands exactly
+			if ( (/^\s*[\[{]/).test(text) ) {
+				try {
+					data = JSON.parse(text);
+				} catch(error) {}
+			}
+			if ( data ) {
+				return _.map(_.select(data.commands || data.history || data, function(entry) {
+					return entry && _.isString(entry.command);
+				}), function(entry) {
+					var recorded = _.isObject(entry.result) ? entry.result.preview : _.isUndefined(entry.result) ? entry.preview : entry.result;
+					return { command : entry.command, result : _.isUndefined(recorded) ? recorded : String(recorded) };
+				});
+			}
+
+			// In markdown, only the code blocks are read
+			if ( fences ) {
+				text = _.map(fences, function(fence) {
+					return fence.replace(/^```[^\n]*\n/, "").replace(/```$/, "");
+				}).join("\n\n");
+			}
+
+			// Otherwise each command ends at its result comment (a bare `// =>` for none). Text without
+			// any (like a transcript from an older version, or a script written by hand) is split at blank lines
+			text = text.replace(/\r\n?/g, "\n");
+			markers = (/^\/\/ =>/m).test(text);
+
+			function end() {
+				// Leave out the blank lines around the command
+				while ( command.length && !$.trim(_.last(command)) ) command.pop();
+				if ( command.length ) transcript.push({ command : command.join("\n"), result : result === null ? undefined : result });
+				command = [];
+				result = null;
+			}
+
+			_.each(text.split("\n"), function(line) {
+				var match;
+
+				if ( command.length && (match = (/^\/\/ =>(?: (.*))?$/).exec(line)) ) {
+					result = _.isUndefined(match[1]) ? undefined : match[1];
+					if ( _.isUndefined(result) ) end();
+				} else if ( result !== null && (/^\/\/    /).test(line) ) {
+					result += "\n" + line.slice(6);
+				} else {
+					if ( result !== null || (!markers && !$.trim(line)) ) end();
+					if ( $.trim(line) || command.length ) command.push(line.replace(/^\/\/ (:[\w\-]+)/, "$1"));
+				}
+			});
+			end();
+
+			return transcript;
+		},
+
+		// Adds the commands from a transcript to the history, showing their recorded results
+		// Returns the number of commands added
+		importTranscript : function(transcript) {
+			var history = this.get('history');
+
+			_.each(transcript, function(entry) {
+				var item = { command : entry.command, _class : "imported" };
+				if ( !_.isUndefined(entry.result) ) item.result = { type : "text", preview : entry.result };
+				history.push(item);
+			});
+			this.trimHistory(history, this.get('maxHistory'));
+
+			this.set({ history : history }).change();
+			this.save();
+
+			return transcript.length;
+		},
+
+		// Puts a list of commands into the page's URL hash, as "#<name>=<data>", so that the console
+		// can be opened with them again (see `readShare`)
+		// Returns a promise for the link, which fails if it's longer than the `shareLimit`
+		share : function(commands) {
+			var prefix = "#" + encodeURIComponent(this.get('name')) + "=",
+				limit = this.get('shareLimit');
+
+			return this.encodeShare(commands).pipe(function(data) {
+				var hash = prefix + data;
+				if ( hash.length > limit ) {
+					return $.Deferred().reject(new Error("The commands are too long to share (" + hash.length + " characters, the limit is " + limit + ")"));
+				}
+
+				if ( window.history && history.replaceState ) history.replaceState(null, document.title, hash);
+				else window.location.hash = hash;
+				return window.location.href.replace(/#.*$/, "") + hash;
+			});
+		},
+
+		// Reads the commands from a shared link in the page's URL hash (unless the `share` option is
+		// off), then removes the hash so that reloading the page doesn't open them again
+		// Returns a promise for the list of commands (empty if there's no link, or it's invalid)
+		readShare : function() {
+			var prefix = "#" + encodeURIComponent(this.get('name')) + "=",
+				hash = window.location.hash,
+				data;
+
+			if ( !this.get('share') || hash.indexOf(prefix) !== 0 || hash.length > this.get('shareLimit') ) {
+				return $.Deferred().resolve([]).promise();
+			}
+			if ( window.history && history.replaceState ) history.replaceState(null, document.title, window.location.pathname + window.location.search);
+
+			data = hash.slice(prefix.length);
+			return this.decodeShare(data).pipe(function(commands) {
+				return _.select(commands, _.isString);
+			}, function() {
+				return $.Deferred().resolve([]);
+			});
+		},
+
+		// Encodes a list of commands for a link: "z." and the deflated JSON as URL-safe base64, where
+		// the Compression Streams API is supported (and it's shorter), or else "b." and the plain JSON
+		encodeShare : function(commands) {
+			var text = unescape(encodeURIComponent(JSON.stringify(commands))),
+				plain = "b." + this.toBase64(text),
+				model = this;
+
+			return this.compress(text, "CompressionStream").pipe(function(compressed) {
+				compressed = "z." + model.toBase64(compressed);
+				return compressed.length < plain.length ? compressed : plain;
+			}, function() {
+				return $.Deferred().resolve(plain);
+			});
+		},
+
+		// Decodes the data from a link back into the list of commands (returns a promise)
+		decodeShare : function(data) {
+			var text;
+
+			try {
+				text = this.fromBase64(data.slice(2));
+			} catch(error) {
+				return $.Deferred().reject(error).promise();
+			}
+
+			return (data.indexOf("z.") === 0 ? this.compress(text, "DecompressionStream") : $.Deferred().resolve(text)).pipe(function(text) {
+				try {
+					return JSON.parse(decodeURIComponent(escape(text)));
+				} catch(error) {
+					return $.Deferred().reject(error);
+				}
+			});
+		},
+
+		// Deflates (or inflates, with "DecompressionStream") a binary string using the Compression
+		// Streams API, returning a promise that fails if it isn't supported
+		compress : function(binary, Stream) {
+			var deferred = $.Deferred(),
+				bytes, i;
+
+			try {
+				bytes = new Uint8Array(binary.length);
+				for ( i = 0; i < binary.length; i++ ) bytes[i] = binary.charCodeAt(i);
+
+				new Response(new Response(bytes).body.pipeThrough(new window[Stream]("deflate-raw"))).arrayBuffer().then(function(buffer) {
+					var result = "",
+						output = new Uint8Array(buffer);
+
+					for ( i = 0; i < output.length; i += 8192 ) result += String.fromCharCode.apply(null, output.subarray(i, i + 8192));
+					deferred.resolve(result);
+				}, deferred.reject);
+			} catch(error) {
+				deferred.reject(error);
+			}
+			return deferred.promise();
+		},
+
+		// Converts a binary string to URL-safe base64, and back
+		toBase64 : function(binary) {
+			return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+		},
+		fromBase64 : function(data) {
+			return atob(data.replace(/-/g, "+").replace(/_/g, "/"));
+		},
+
+		// Creates the sandbox iframe, if needed, and stores it
+		// `frameReady` is a promise for when the iframe has loaded, and scripts can be added to it
+		iframeSetup : function() {
+			var model = this,
+				ready = this.frameReady = $.Deferred();
+
+			function create() {
+				var frame = model.sandboxFrame = $('<iframe width="0" height="0"/>').css({visibility : 'hidden'}).appendTo('body')[0];
+				model.sandbox = frame.contentWindow;
+
+				// This should help IE run eval inside the iframe.
+				if (!model.sandbox.eval && model.sandbox.execScript) {
+					model.sandbox.execScript("null");
+				}
+
+				model.consoleSetup(model.sandbox);
+
+				// Some browsers replace the iframe's initial document when it loads, so wait for that
+				if ( frame.contentDocument && frame.contentDocument.readyState === "complete" ) ready.resolve();
+				else $(frame).one("load", ready.resolve);
+			}
+
+			// The iframe goes in the page's body, so it may need to wait for that
+			if ( document.body ) create();
+			else $(create);
+		},
+
+		// Whether commands are sent off to be evaluated, as messages: in `worker` mode, or in an `isolate`d iframe
+		remote : function() {
+			return !!(this.get('worker') || (this.get('iframe') && this.get('isolate')));
+		},
+
+		// What commands are sent off to (see `remote`), for messages about it
+		remoteName : function() {
+			return this.get('worker') ? "Web Worker" : "isolated iframe";
+		},
+
+		// The window that commands are currently evaluated in (none, when they're sent off to the worker or
+		// an isolated iframe, unless that couldn't be created and they fall back to the iframe or page)
+		context : function() {
+			if ( this.remote() && (this.worker || !this.get('fallback')) ) return null;
+			return this.get('iframe') && this.sandbox ? this.sandbox : window;
+		},
+
+		// The console methods that are captured and shown in the output
+		consoleLevels : ['log', 'info', 'warn', 'error', 'debug'],
+
+		// Intercepts the console methods and uncaught errors of a window (the iframe or the page),
+		// so that they show up in the output as well as in the browser's own console
+		consoleSetup : function(win) {
+			var model = this,
+				console = win.console || (win.console = {});
+
+			_.each(this.consoleLevels, function(level) {
+				var original = console[level];
+				console[level] = function() {
+					model.log(win, level, _.toArray(arguments));
+					if ( _.isFunction(original) ) return original.apply(console, arguments);
+				};
+			});
+
+			// Errors thrown during `evaluate` are caught there, so these come from async callbacks
+			if ( win.addEventListener ) {
+				win.addEventListener('error', function(e) {
+					model.log(win, 'error', ['Uncaught', e.error || e.message]);
+				}, false);
+				win.addEventListener('unhandledrejection', function(e) {
+					model.log(win, 'error', ['Uncaught (in promise)', e.reason]);
+				}, false);
+			}
+		},
+
+		// Adds a console message to the history item being evaluated, or else to the latest one
+		log : function(win, level, args) {
+			// Ignore messages from windows that aren't being used for evaluation
+			if ( win !== this.context() ) return;
+
+			this.addLog(this.evaluating, level, _.map(args, function(arg) {
+				return _.isString(arg) ? { type : 'text', preview : arg } : Sandbox.inspect(arg);
+			}));
+		},
+
+		// Adds a line of (already inspected) console output to a history item, or else to the latest one
+		addLog : function(item, level, args) {
+			item = item || _.last(this.get('history'));
+			if ( !item || item._hidden ) return;
+
+			// Logged errors get their stacks cleaned up too
+			_.each(args, function(arg) {
+				this.errorDetails(arg);
+			}, this);
+
+			(item.logs || (item.logs = [])).push({
+				level : level,
+				args : args
+			});
+
+			// Drop the oldest messages once there are too many (eg. from a `setInterval` that logs)
+			if ( item.logs.length > this.logMax ) {
+				item.dropped = (item.dropped || 0) + item.logs.length - this.logMax;
+				item.logs.splice(0, item.logs.length - this.logMax);
+			}
+
+			// Items that are still being evaluated are updated afterwards, others need an update now
+			// (console messages aren't saved, so there's no need to save the history)
+			if ( _.include(this.get('history'), item) ) this.change();
+		},
+
+		// The most console messages kept for each history item
+		logMax : 1000,
+
+		// Creates the Web Worker that commands are evaluated in, in `worker` mode (or the isolated
+		// iframe that stands in for it, with the `isolate` option)
+		workerSetup : function() {
+			// In an isolated iframe, the script posts its messages to the page instead (before `parent` can be blocked)
+			var source = "(" + Sandbox.workerScript + ")(self, " + Sandbox.inspect + ", " + Sandbox.complete +
+				(this.get('worker') ? "" : ", (function(parent) {\n\treturn function(message) {\n\t\tparent.postMessage(message, \"*\");\n\t};\n})(parent)") + ");";
+
+			// The maps by id have no prototype, so that ids sent by the sandbox (like "__proto__") can't reach one
+			this.workerQueue = []; // the commands waiting to be run
+			this.workerItems = Object.create(null); // the history items waiting for results, by job id
+			this.workerCallbacks = Object.create(null); // the callbacks waiting for the results of silent commands, by job id
+			this.workerCompletions = Object.create(null); // the tab completion requests waiting for names, by id
+			this.workerSession = this.workerSession || []; // the commands run so far, for replaying after a restart
+
+			try {
+				this.worker = this.get('worker') ? new Worker(URL.createObjectURL(new Blob([source], { type : "text/javascript" }))) : this.frameWorker(source);
+				this.worker.onmessage = this.workerMessage;
+			} catch(e) {
+				this.worker = null;
+			}
+		},
+
+		// Creates an iframe with the `sandbox` attribute (so it has a null origin, and can't reach the
+		// page) and runs a worker script in it. Returns an object that works like a Worker for it:
+		// messages go over postMessage (queued until the iframe is ready), and `terminate` removes it
+		frameWorker : function(source) {
+			var queue = [],
+				frame = $('<iframe width="0" height="0"/>').css({visibility : 'hidden'}).attr({
+					sandbox : "allow-scripts" + (_.isString(this.get('isolate')) ? " " + this.get('isolate') : ""),
+					srcdoc : "<!DOCTYPE html><script>" + source.replace(/<\//g, "<\\/") + "\nparent.postMessage({ type : \"ready\" }, \"*\");</script>"
+				}),
+				worker = {
+					postMessage : function(message) {
+						if ( queue ) queue.push(message);
+						else frame[0].contentWindow.postMessage(message, "*");
+					},
+					terminate : function() {
+						window.removeEventListener("message", receive, false);
+						frame.remove();
+					}
+				};
+
+			// Only listen to messages from this iframe (its origin is "null", so check where they came from)
+			function receive(e) {
+				if ( e.source !== frame[0].contentWindow ) return;
+				if ( e.data && e.data.type === "ready" && queue ) {
+					_.each(queue, function(message) {
+						frame[0].contentWindow.postMessage(message, "*");
+					});
+					queue = null;
+				} else if ( worker.onmessage ) {
+					worker.onmessage(e);
+				}
+			}
+			window.addEventListener("message", receive, false);
+
+			// The iframe goes in the page's body, so it may need to wait for that
+			if ( document.body ) frame.appendTo('body');
+			else $(function() {
+				frame.appendTo('body');
+			});
+
+			return worker;
+		},
+
+		// Evaluates a command in the worker, with its history item pending until the result comes back
+		workerEval : function(item, code) {
+			if ( !this.worker ) {
+				item.result = new Error("Can't create the " + this.remoteName() + " - please report this bug along with your browser information!");
+				item._class = "error";
+				return item;
+			}
+
+			item.pending = true;
+			item._class = "pending";
+			item.result = { type : "pending", preview : "running\u2026" };
+			this.workerRun(code, item);
+			return item;
+		},
+
+		// Sends a command to the worker to be evaluated (commands without a history item are run silently,
+		// and can pass a `callback(result, error)` for their result instead)
+		workerRun : function(code, item, callback) {
+			if ( !this.worker ) this.workerSetup();
+
+			this.workerQueue.push({ id : _.uniqueId('job'), code : code, ref : item && item.ref, item : item, callback : callback });
+			if ( !this.workerJob ) this.workerNext();
+		},
+
+		// Runs the next command in the queue, with a time limit
+		workerNext : function() {
+			var job = this.workerJob = this.workerQueue.shift();
+			if ( !job || !this.worker ) return;
+
+			if ( job.item ) this.workerItems[job.id] = job.item;
+			if ( job.callback ) this.workerCallbacks[job.id] = job.callback;
+			this.worker.postMessage({ type : "evaluate", id : job.id, code : job.code, ref : job.ref });
+			this.workerTimer = setTimeout(this.workerTimeout, this.get('timeout'));
+		},
+
+		// Handles results and console messages coming from the worker
+		workerMessage : function(e) {
+			var message = e.data,
+				job = this.workerJob,
+				item, callback;
+
+			// Only messages about the jobs and completion requests this Model sent are accepted
+			if ( !_.isObject(message) || (message.id && !this.workerIds.test(message.id)) ) return;
+			item = this.workerItems[message.id];
+			callback = this.workerCallbacks[message.id];
+
+			if ( message.type === "completions" ) {
+				if ( this.workerCompletions[message.id] ) this.workerCompletions[message.id].resolve(_.select([].concat(message.names), _.isString));
+				delete this.workerCompletions[message.id];
+				return;
+			}
+
+			if ( message.type === "log" ) {
+				// Ignore messages from commands being run silently
+				if ( !message.id || item ) this.addLog(item, message.level, _.map(message.args, this.untrusted));
+				return;
+			}
+			message.result = this.untrusted(message.result);
+
+			// The command has finished running (even if its result is still pending), so run the next one
+			if ( job && job.id === message.id ) {
+				clearTimeout(this.workerTimer);
+				// Commands that ran successfully join the session, for replaying after a restart (replayed ones are in it already)
+				if ( !message.error && !job.replay ) this.workerSession.push({ code : job.code, ref : job.ref });
+				this.workerJob = null;
+				this.workerNext();
+			}
+
+			if ( item && !message.pending ) {
+				delete this.workerItems[message.id];
+				this.settle(item, message.result, message.error, true);
+			}
+			if ( callback && !message.pending ) {
+				delete this.workerCallbacks[message.id];
+				callback(message.result, message.error);
+			}
+		},
+
+		// The ids this Model gives its jobs and completion requests (from `_.uniqueId`)
+		workerIds : /^(job|complete)\d+$/,
+
+		// The types of description that `Sandbox.inspect` (and the console messages) can come up with
+		inspectTypes : /^(undefined|null|boolean|number|bigint|string|symbol|text|pending|circular|accessor|function|array|typedarray|map|set|weakmap|weakset|date|regexp|error|promise|arraybuffer|boxed|window|node|object)$/,
+
+		// Descriptions from the worker (or isolated iframe) are only data, which the code running there
+		// can make up: anything with a type the inspector doesn't use (like the markup that only special
+		// commands can show) becomes text, and every field the View renders is made a string or number
+		untrusted : function(node) {
+			if ( !_.isObject(node) ) return node;
+			if ( !this.inspectTypes.test(node.type) ) return { type : "text", preview : String(_.isUndefined(node.preview) ? "" : node.preview) };
+
+			node.preview = String(node.preview);
+			if ( node.more ) node.more = parseInt(node.more, 10) || 0;
+			if ( node.frames ) node.frames = _.map([].concat(node.frames), String);
+			_.each(["name", "message", "stack", "source"], function(key) {
+				if ( !_.isUndefined(node[key]) ) node[key] = String(node[key]);
+			});
+			if ( node.location ) node.location = { line : parseInt(node.location.line, 10) || 1, column : parseInt(node.location.column, 10) || 1 };
+			if ( node.entries ) {
+				node.entries = _.map([].concat(node.entries), function(entry) {
+					entry = _.isObject(entry) ? entry : {};
+					return { key : String(entry.key), value : this.untrusted(entry.value), hidden : !!entry.hidden };
+				}, this);
+			}
+			return node;
+		},
+
+		// Stops the worker when a command runs for too long, then restarts it and replays the session
+		workerTimeout : function() {
+			var job = this.workerJob,
+				queue = this.workerQueue,
+				timeout = this.get('timeout'),
+				callback = this.workerCallbacks[job.id];
+
+			delete this.workerCallbacks[job.id];
+			this.workerStop(job.item);
+			this.workerSetup();
+
+			// Replay the commands that ran successfully before, to restore any state they set up,
+			// then carry on with the queue
+			this.workerQueue = _.map(this.workerSession, function(done) {
+				return { id : _.uniqueId('job'), code : done.code, ref : done.ref, replay : true };
+			}).concat(queue);
+
+			if ( job.item ) {
+				this.settle(job.item, { type : 'error', preview : "Error: execution timed out after " + timeout + "ms" }, true, true);
+				if ( this.workerSession.length ) {
+					this.addLog(job.item, 'info', [{ type : 'text', preview : "The sandbox was restarted, replaying " + this.workerSession.length + " earlier command(s)" }]);
+				}
+			} else {
+				// A replayed command timed out, so leave it out of the session from now on
+				this.workerSession = _.reject(this.workerSession, function(done) {
+					return done.code === job.code;
+				});
+				this.workerQueue = _.reject(this.workerQueue, function(next) {
+					return !next.item && next.code === job.code;
+				});
+			}
+			if ( callback ) callback({ type : 'error', preview : "Error: execution timed out after " + timeout + "ms" }, true);
+
+			this.workerNext();
+		},
+
+		// Terminates the worker. Results from it will never arrive, so pending items (apart from `except`) are settled
+		workerStop : function(except) {
+			clearTimeout(this.workerTimer);
+			this.worker.terminate();
+
+			_.each(this.workerItems, function(item) {
+				if ( item !== except ) this.settle(item, { type : 'error', preview : "Error: the sandbox was restarted" }, true, true);
+			}, this);
+			_.each(this.workerCallbacks, function(callback) {
+				callback({ type : 'error', preview : "Error: the sandbox was restarted" }, true);
+			});
+
+			this.worker = this.workerJob = null;
+			this.workerItems = Object.create(null);
+			this.workerCallbacks = Object.create(null);
+		},
+
+		// Starts a fresh sandbox scope (a new worker or iframe), losing everything defined in the old one
+		// Returns false if commands are evaluated in the page's own scope, which can't be reset
+		reset : function() {
+			if ( this.remote() && this.worker ) {
+				this.workerStop();
+				this.workerSession = [];
+				this.workerSetup();
+			} else if ( this.get('iframe') && this.sandboxFrame ) {
+				$(this.sandboxFrame).remove();
+				this.sandboxFrame = this.sandbox = null;
+				this.iframeSetup();
+			} else {
+				return false;
+			}
+			this.preload();
+			return true;
+		},
+
+		// Finds tab completions for the global (or, with a `path` like "foo.bar", property) name being typed
+		// Returns a promise for the names, because in `worker` mode they arrive asynchronously
+		complete : function(path, prefix) {
+			var deferred = $.Deferred(),
+				id = _.uniqueId('complete'),
+				context = this.context();
+
+			if ( this.remote() && this.worker ) {
+				this.workerCompletions[id] = deferred;
+				this.worker.postMessage({ type : "complete", id : id, path : path });
+			} else {
+				deferred.resolve(context ? Sandbox.complete(context, path) : []);
+			}
+
+			return deferred.pipe(function(names) {
+				return _.select(names, function(name) {
+					return name.indexOf(prefix) === 0;
+				});
+			});
+		},
+
+		// Runs `eval` safely inside the sandboxed iframe
+		iframeEval : function(command) {
+			// Set up the iframe if not set up already (in case iframe has been enabled):
+			if ( !this.sandbox ) this.iframeSetup();
+
+			// Evaluate inside the sandboxed iframe, if possible.
+			// If fallback is allowed, use basic eval (and say so), or else throw an error.
+			if ( this.sandbox.eval ) return this.sandbox.eval(command);
+			if ( !this.get('fallback') ) return new Error("Can't evaluate inside the iframe - please report this bug along with your browser information!");
+			this.fellBack("Can't evaluate inside the iframe");
+			return eval(command);
+		},
+
+		// Notes that code had to run somewhere less sandboxed than it should have (because the iframe
+		// or worker couldn't be used, and `fallback` allows that). The Model triggers "fallback" with
+		// the reason, and the first time, the next evaluated command gets a warning about it
+		fellBack : function(reason) {
+			if ( this.fallenBack ) return;
+			this.fallenBack = reason;
+			this.trigger("fallback", reason);
+		},
+
+		// Returns the warning for a fallback (see `fellBack`) to show under a command, the first time
+		fallbackWarning : function() {
+			if ( !this.fallenBack || this.fallbackWarned ) return null;
+			this.fallbackWarned = true;
+			return { type : "text", preview : this.fallenBack + ", so commands are running in " +
+				(this.context() === window ? "the page's own scope" : "an ordinary iframe, which can reach the page") + " instead (see the `fallback` option)" };
+		},
+
+		// Loads a script into the sandbox: the page, the iframe or the worker
+		// Returns a promise for the script's (absolute) URL, which fails if it couldn't be loaded
+		load : function(src) {
+			var model = this;
+
+			// Relative URLs don't work inside the worker, so make them absolute
+			src = $('<a/>').attr('href', src)[0].href;
+
+			function failed(error) {
+				error = error && (error.preview || error.message);
+				return new Error("Couldn't load " + src + (error ? " (" + error + ")" : ""));
+			}
+
+			// The worker imports it, and an isolated iframe adds it to its own document
+			if ( this.remote() && this.worker ) {
+				return this.execute(this.get('worker') ? "importScripts(" + JSON.stringify(src) + ")" : "new Promise(function(resolve, reject) {\n" +
+					"\tvar script = document.createElement('script');\n" +
+					"\tscript.onload = resolve;\n" +
+					"\tscript.onerror = function() { reject(new Error('the script failed to load')); };\n" +
+					"\tscript.src = " + JSON.stringify(src) + ";\n" +
+					"\t(document.head || document.documentElement).appendChild(script);\n" +
+				"})").pipe(function() {
+					return src;
+				}, failed);
+			}
+
+			// Add the script to the page, or to the iframe once it's ready
+			if ( this.get('iframe') && !this.sandbox ) this.iframeSetup();
+			return (this.get('iframe') ? this.frameReady : $.Deferred().resolve()).pipe(function() {
+				var loaded = $.Deferred(),
+					doc = model.get('iframe') ? model.sandboxFrame.contentDocument : document,
+					script = doc.createElement('script');
+
+				script.type = "text/javascript";
+				script.onload = function() {
+					loaded.resolve(src);
+				};
+				script.onerror = function() {
+					loaded.reject(failed());
+				};
+				script.src = src;
+				(doc.body || doc.documentElement).appendChild(script);
+
+				return loaded;
+			});
+		},
+
+		// Loads several scripts into the sandbox, one after another
+		// Returns a promise for the list of URLs, which fails as soon as one of them can't be loaded
+		loadAll : function(urls) {
+			var model = this;
+
+			return _.reduce(urls, function(previous, url) {
+				return previous.pipe(function(loaded) {
+					return model.load(url).pipe(function(src) {
+						return loaded.concat([src]);
+					});
+				});
+			}, $.Deferred().resolve([]).promise());
+		},
+
+		// Sets up a new sandbox (eg. when it's created or reset): takes away the `block`ed globals, then
+		// loads the scripts from the `preload` option. If one fails, it's shown in the history as a failed
+		// `:load`. Afterwards, the names defined in the sandbox are noted as its `baseline` (see `globals`)
+		// Returns a promise, which is also kept as `preloaded`
+		preload : function() {
+			var model = this,
+				urls = [].concat(this.get('preload') || []),
+				baseline = this.baseline = $.Deferred();
+
+			this.preloaded = (this.get('iframe') && !this.remote() ? this.frameReady : $.Deferred().resolve()).pipe(function() {
+				return model.block();
+			}).pipe(function() {
+				return model.loadAll(urls);
+			}).fail(function(error) {
+				model.addHistory({ command : ":load " + urls.join(" "), result : error, _class : "error" });
+			});
+
+			// Wait for the script that created the Model to finish too (eg. it may be about to define `window.sandbox`)
+			this.preloaded.always(function() {
+				_.defer(function() {
+					model.complete(null, "").done(baseline.resolve);
+				});
+			});
+			return this.preloaded;
+		},
+
+		// Takes the globals named in the `block` option away from the iframe or worker, or puts the
+		// stubs given for them in their place. The page's own globals are never touched
+		// Returns a promise for when it's done
+		block : function() {
+			var block = this.get('block') || [],
+				names = _.isArray(block) ? block : _.keys(block),
+				separate = this.remote() ? this.worker : this.get('iframe') && this.sandbox;
+
+			if ( !names.length || !separate ) return $.Deferred().resolve().promise();
+
+			// Blocked globals are replaced with getters that throw, so using them says what happened
+			return this.execute("(function(scope) {\n" + _.map(names, function(name) {
+				var stub = !_.isArray(block) && _.isString(block[name]) ? block[name] : null;
+				return "\ttry { Object.defineProperty(scope, " + JSON.stringify(name) + ", " + (stub ?
+					"{ value : (" + stub + "), writable : true, configurable : true }" :
+					"{ get : function() { throw new Error(" + JSON.stringify(name + " is blocked in this sandbox") + "); }, configurable : true }") + "); } catch(e) {}\n";
+			}).join("") + "})(this)").pipe(null, function() {
+				return $.Deferred().resolve();
+			});
+		},
+
+		// Lists the global names defined in the sandbox since it was set up (by commands, or scripts
+		// loaded since), leaving out the `$1`, `$_` etc. results (see `keepResult`)
+		// Returns a promise for the names
+		globals : function() {
+			var model = this;
+
+			return this.baseline.pipe(function(baseline) {
+				var known = {};
+				_.each(baseline, function(name) {
+					known[name] = true;
+				});
+				return model.complete(null, "").pipe(function(names) {
+					return _.reject(names, function(name) {
+						return known[name] || (/^\$(\d+|_)$/).test(name);
+					});
+				});
+			});
+		},
+
+		// Imports an ES module into the sandbox, making the names from an `import` declaration's clause
+		// (eg. `_`, `{ map, filter as select }`, `* as _` or `_, { map }`) into globals
+		// Returns a promise for the list of names
+		importModule : function(clause, url) {
+			var bindings = [],
+				match;
+
+			// Read the default import, then the namespace or named imports, into [name, export] pairs
+			clause = $.trim(clause || "");
+			if ( (match = (/^([\w$]+)\s*(,\s*|$)/).exec(clause)) ) {
+				bindings.push([match[1], "default"]);
+				clause = clause.slice(match[0].length);
+			}
+			if ( (match = (/^\*\s*as\s+([\w$]+)$/).exec(clause)) ) {
+				bindings.push([match[1], null]);
+				clause = "";
+			} else if ( (match = (/^\{([^}]*)\}$/).exec(clause)) ) {
+				_.each(match[1].split(","), function(name) {
+					var names = $.trim(name).split(/\s+as\s+/);
+					if ( names[0] ) bindings.push([names[1] || names[0], names[0]]);
+				});
+				clause = "";
+			}
+			if ( clause ) return $.Deferred().reject(new Error("Can't import `" + clause + "` - try a name, { names } or * as name")).promise();
+
+			url = $('<a/>').attr('href', url)[0].href;
+
+			return this.execute("import(" + JSON.stringify(url) + ").then(function(module) {\n" + _.map(bindings, function(binding) {
+				return "\tthis[" + JSON.stringify(binding[0]) + "] = " + (binding[1] ? "module[" + JSON.stringify(binding[1]) + "]" : "module") + ";\n";
+			}).join("") + "}.bind(this))").pipe(function() {
+				return _.map(bindings, function(binding) {
+					return binding[0];
+				});
+			}, function(error) {
+				error = error && (error.preview || error.message);
+				return new Error("Couldn't import " + url + (error ? " (" + error + ")" : ""));
+			});
+		},
+
+		// Runs some code in the sandbox without adding it to the history
+		// Returns a promise for the result (or for the value it resolves with, if it's a promise),
+		// which in `worker` mode is a description of the value (see `Sandbox.inspect`)
+		execute : function(code) {
+			var deferred = $.Deferred(),
+				result;
+
+			// Like `evaluate`, fall back to the page's own scope if the worker isn't available (and that's allowed)
+			if ( this.remote() && !this.worker ) this.workerSetup();
+			if ( this.remote() && (this.worker || !this.get('fallback')) ) {
+				if ( !this.worker ) return deferred.reject(new Error("Can't create the " + this.remoteName())).promise();
+				this.workerRun(code, null, function(result, error) {
+					if ( error ) deferred.reject(result);
+					else deferred.resolve(result);
+				});
+				return deferred.promise();
+			}
+			if ( this.remote() ) this.fellBack("Can't create the " + this.remoteName());
+
+			try {
+				result = this.get('iframe') ? this.iframeEval(code) : eval.call(window, code);
+			} catch(error) {
+				return deferred.reject(error).promise();
+			}
+
+			if ( result && _.isFunction(result.then) ) result.then(deferred.resolve, deferred.reject);
+			else deferred.resolve(result);
+			return deferred.promise();
+		},
+
+		// Returns a basic class for syntax-highlighting a result
+		resultClass : function(result) {
+			if ( _.isUndefined(result) ) return "undefined";
+			if ( _.isNumber(result) ) return "number";
+			if ( _.isString(result) ) return "string";
+		},
+
+		// Adds the details of an error's description (see `Sandbox.inspect`) for the View to show: its
+		// stack, cleaned up and pointing at lines in the command, and where a syntax error in the
+		// command is, with the line it's on (as `location` and `source`)
+		errorDetails : function(node, command) {
+			var location, ref, item;
+			if ( !node || node.type !== "error" || !node.stack ) return node;
+
+			// Explain references to results that aren't kept any more (see `keepResult`)
+			ref = node.name === "ReferenceError" && (/^(?:Can't find variable: )?(\$(\d+|_))(?: is not defined)?$/).exec(node.message);
+			item = ref && _.detect(this.get('history'), function(item) {
+				return ref[2] === "_" ? item.ref && item._hidden : item.ref === +ref[2];
+			});
+			if ( item ) {
+				node.message = ref[1] + " is from before the " + (item._hidden ? "page was reloaded" : "sandbox was reset") + ", so its result is no longer available";
+				node.preview = node.name + ": " + node.message;
+			}
+
+			command = command && !(/^\s*:/).test(command) ? command : null;
+			node.frames = this.stackFrames(node.stack, !!command && this.asyncWrap(command) !== command);
+			delete node.stack;
+
+			if ( node.name === "SyntaxError" && command && (location = this.syntaxLocation(command)) ) {
+				node.location = location;
+				node.source = command.split("\n")[location.line - 1];
+			}
+			return node;
+		},
+
+		// Cleans up a stack trace, keeping the frames up to the last one in the evaluated command (and
+		// leaving out the sandbox's own code that ran it), and pointing those at the command's lines
+		// Commands wrapped for top-level `await` keep their lines but not their columns (see `asyncWrap`)
+		stackFrames : function(stack, wrapped) {
+			var frames = [],
+				last = -1;
+
+			_.each(String(stack).split("\n"), function(line) {
+				// Frames look like "at name (location)" in V8, and "name@location" in Firefox and Safari
+				var frame = (/^\s*at (?:(.*?) \()?(.*?)\)?$/).exec(line) || (/^(.*?)@(.*)$/).exec(line),
+					inCommand;
+
+				if ( !frame ) return;
+
+				// Code run by `eval` is at "eval at …, <anonymous>:line:column" (V8) or "… > eval:line:column"
+				inCommand = (/(?:<anonymous>|> eval):(\d+):(\d+)$/).exec(frame[2]);
+				if ( inCommand ) last = frames.length;
+
+				frames.push("at " + (frame[1] && frame[1] !== "eval" ? frame[1] : "<command>") + " (" + (inCommand ?
+					"line " + inCommand[1] + (wrapped ? "" : ", column " + inCommand[2]) :
+					frame[2]) + ")");
+			});
+
+			return frames.slice(0, last + 1);
+		},
+
+		// Finds where a syntax error in a command is: the first token that nothing after it could fix.
+		// The command is cut after a token and compiled twice, ending in an unclosed comment and then
+		// an unclosed template literal (which also hide the `}` the Function constructor adds). If the
+		// code is fine so far, the two errors come from those and differ; if not, both are the same
+		// error, from inside the code. A binary search finds the shortest part that fails like that, or
+		// if none do, the command is only unfinished and the error is at its end
+		// Returns `{ line, column }` (counting from 1), or nothing if the command compiles (or is too
+		// long to search, like a pasted library)
+		syntaxLocation : function(command) {
+			var Compiler = Function,
+				tokens = Sandbox.tokenize(command),
+				low = 0,
+				high = tokens.length,
+				middle, at, start;
+
+			// Compile as an async function body if possible, so top-level `await` is allowed
+			try {
+				Compiler = eval("(async function() {})").constructor;
+			} catch(error) {}
+
+			function compile(code) {
+				try {
+					new Compiler(code);
+				} catch(error) {
+					return error instanceof SyntaxError ? error.message : null;
+				}
+				return null;
+			}
+
+			function broken(end) {
+				var code = command.slice(0, end),
+					message = compile(code + "\n/*");
+				return !!message && message === compile(code + "\n`");
+			}
+
+			if ( command.length > this.syntaxLimit || !compile(command) ) return;
+
+			while ( low < high ) {
+				middle = Math.floor((low + high) / 2);
+				if ( broken(tokens[middle].end) ) high = middle;
+				else low = middle + 1;
+			}
+
+			// Point at the start of that token, or just after the last one
+			at = low < tokens.length ? tokens[low].start : (tokens.length ? tokens[tokens.length - 1].end : 0);
+			start = command.lastIndexOf("\n", at - 1) + 1;
+			return { line : command.slice(0, start).split("\n").length, column : at - start + 1 };
+		},
+
+		// The longest command that `syntaxLocation` searches for a syntax error in
+		syntaxLimit : 20000,
+
+		// Shows a promise result as pending, and updates its history item in place once it settles
+		// An optional `describe` function turns the value into the description to show (instead of inspecting it)
+		resolve : function(item, promise, describe) {
+			var model = this;
+
+			item.pending = true;
+			item._class = "pending";
+			item.result = { type : "promise", preview : "Promise {<pending>}" };
+
+			promise.then(function(value) {
+				model.keepResult(item, value);
+				if ( describe ) model.settle(item, describe(value), false, true);
+				else model.settle(item, value);
+			}, function(error) {
+				if ( describe ) model.settle(item, Sandbox.inspect(error), true, true);
+				else model.settle(item, error, true);
+			});
+		},
+
+		// Stores the value (or error) that a pending result settled with
+		// `inspected` means the result has already been through `Sandbox.inspect` (eg. in the worker)
+		settle : function(item, result, rejected, inspected) {
+			delete item.pending;
+			if ( rejected ) {
+				item._class = "error";
+			} else {
+				item._class = inspected ? _.detect(["undefined", "number", "string"], function(type) {
+					return result && (type === result.type || (type === "string" && result.type === "text"));
+				}) : this.resultClass(result);
+			}
+
+			// If the item is already in the history, inspect the result and update straight away
+			if ( _.include(this.get('history'), item) ) {
+				item.result = inspected ? result : Sandbox.inspect(result);
+				this.errorDetails(item.result, item.code || item.command);
+				this.change();
+				this.save();
+				this.trigger("settle", item, result);
+			} else {
+				item.result = result;
+			}
+		},
+
+		// Statements that don't give a value, so `asyncWrap` doesn't return them
+		statements : /^(var|let|const|function|async|class|if|for|while|do|switch|try|throw|return|break|continue|import|export|debugger|with)$/,
+
+		// Wraps a command that uses top-level `await` in an async function, like the browser's devtools:
+		// top-level declarations are made global and the value of the last expression is returned.
+		// Commands without top-level `await` are returned unchanged
+		asyncWrap : function(command) {
+			var tokens = _.reject(Sandbox.tokenize(command), function(token) {
+					return token.type === "comment";
+				}),
+				stack = [], // the open brackets, and whether each one is a function body
+				functions = 0, // how many function bodies the current token is inside
+				statements = [], // the first and last token of each top-level statement
+				start = 0,
+				usesAwait = false,
+				edits = [],
+				globals = [],
+				token, prev, opener, i;
+
+			for ( i = 0; i < tokens.length; i++ ) {
+				token = tokens[i];
+				prev = tokens[i - 1];
+
+				// Split top-level statements at line breaks, roughly following the semicolon insertion rules
+				if ( !stack.length && i > start && this.statementBreak(command, prev, token) ) {
+					statements.push([start, i - 1]);
+					start = i;
+				}
+
+				token.depth = stack.length;
+
+				if ( token.type === "punctuator" && (/^[(\[{]$/).test(token.value) ) {
+					// Braces after `=>` or after a parameter list (but not after `if (…)`, etc.) open a function body
+					opener = {
+						index : i,
+						body : token.value === "{" && !!prev && (prev.value === "=>" || (prev.value === ")" && !(/^(if|for|while|switch|catch|with|await)$/).test((tokens[prev.opener - 1] || {}).value)))
+					};
+					if ( opener.body ) functions++;
+					stack.push(opener);
+				} else if ( token.type === "punctuator" && (/^[)\]}]$/).test(token.value) && stack.length ) {
+					opener = stack.pop();
+					if ( opener.body ) functions--;
+					token.opener = opener.index;
+					tokens[opener.index].closer = i;
+					token.depth = stack.length;
+				} else if ( token.value === ";" && !stack.length ) {
+					statements.push([start, i]);
+					start = i + 1;
+				} else if ( !functions && ((token.value === "await" && !(prev && prev.value === ".")) || (token.type === "template" && (/\$\{[\s\S]*\bawait\b/).test(token.value))) ) {
+					usesAwait = true;
+				}
+			}
+			if ( start < tokens.length ) statements.push([start, tokens.length - 1]);
+
+			if ( !usesAwait ) return command;
+
+			_.each(statements, function(range, n) {
+				var end = tokens[range[1]].value === ";" ? range[1] - 1 : range[1], // leaving off the semicolon
+					first = tokens[range[0]],
+					next = tokens[range[0] + 1] || {},
+					last = tokens[end],
+					declarator = range[0] + 1,
+					j;
+
+				if ( end < range[0] ) return;
+
+				if ( (/^(var|let|const)$/).test(first.value) && (next.type === "identifier" || next.value === "{" || next.value === "[") ) {
+					if ( next.type === "identifier" ) {
+						// `let a = 1, b` becomes `a = 1, b = undefined` (assigning to the global scope)
+						edits.push({ start : first.start, end : next.start, text : "" });
+						for ( j = declarator; j <= end + 1; j++ ) {
+							if ( j > end || (tokens[j].value === "," && !tokens[j].depth) ) {
+								if ( j - declarator === 1 && tokens[declarator].type === "identifier" ) {
+									edits.push({ start : tokens[declarator].end, end : tokens[declarator].end, text : " = undefined" });
+								}
+								declarator = j + 1;
+							}
+						}
+					} else {
+						// Destructuring declarations become destructuring assignments, eg. `({ a } = obj)`
+						edits.push({ start : first.start, end : next.start, text : "(" });
+						edits.push({ start : last.end, end : last.end, text : ")" });
+					}
+				} else if ( first.value === "function" || (first.value === "async" && next.value === "function") ) {
+					// Function declarations are still hoisted inside the wrapper, then copied to the global scope
+					for ( j = range[0]; j <= end && tokens[j].type !== "identifier"; j++ );
+					if ( j <= end ) globals.push(tokens[j].value);
+				} else if ( first.value === "class" && next.type === "identifier" ) {
+					// Class declarations become assignments of class expressions
+					edits.push({ start : first.start, end : first.start, text : next.value + " = " });
+					for ( j = range[0]; j <= end && !(tokens[j].value === "{" && !tokens[j].depth); j++ );
+					if ( j <= end && tokens[j].closer ) edits.push({ start : tokens[tokens[j].closer].end, end : tokens[tokens[j].closer].end, text : ";" });
+				} else if ( n === statements.length - 1 && first.value !== "{" && !(first.type === "keyword" && this.statements.test(first.value) && !(first.value === "async" && next.value !== "function")) ) {
+					// Return the value of the last statement, if it's an expression
+					edits.push({ start : first.start, end : first.start, text : "return (" });
+					edits.push({ start : last.end, end : last.end, text : ")" });
+				}
+			}, this);
+
+			// Make the edits, from last to first so that the positions still line up
+			edits = _.sortBy(edits, function(edit, index) {
+				return -edit.start - index / edits.length;
+			});
+			_.each(edits, function(edit) {
+				command = command.slice(0, edit.start) + edit.text + command.slice(edit.end);
+			});
+
+			return "(async function() { " + _.map(globals, function(name) {
+				return "this." + name + " = " + name + "; ";
+			}).join("") + command + "\n}).call(this)";
+		},
+
+		// Whether a line break between two top-level tokens ends a statement (a rough version of ASI)
+		statementBreak : function(command, prev, next) {
+			if ( command.slice(prev.end, next.start).indexOf("\n") < 0 ) return false;
+			if ( prev.type === "punctuator" && !(/^([)\]}]|\+\+|--)$/).test(prev.value) ) return false;
+			if ( next.type === "punctuator" && !(/^([{!~]|\+\+|--)$/).test(next.value) ) return false;
+			if ( next.type === "template" || (/^(else|catch|finally|in|instanceof)$/).test(next.value) ) return false;
+			return true;
+		},
+
+		// Evaluate a command and save it to history
+		// Pass `code` to run something other than the command as typed (eg. after a plugin transpiled it)
+		evaluate: function(command, code) {
+			if ( !command )
+				return false;
+
+			var item = {
+					command : command,
+					ref : this.lastRef = this.nextRef()
+				},
+				warning;
+			if ( code && code !== command ) item.code = code;
+
+			// Wrap the command in an async function if it uses top-level `await`
+			code = this.asyncWrap(code || command);
+
+			// In `worker` mode (or with an isolated iframe), results arrive later (if the worker isn't available, fall back if allowed)
+			if ( this.remote() && !this.worker ) this.workerSetup();
+			if ( this.remote() && (this.worker || !this.get('fallback')) ) {
+				return this.addHistory(this.workerEval(item, code));
+			}
+			if ( this.remote() ) this.fellBack("Can't create the " + this.remoteName());
+
+			// Any console messages logged while evaluating will be added to this item
+			this.evaluating = item;
+
+			// Evaluate the command and store the eval result, adding some basic classes for syntax-highlighting
+			try {
+				item.result = this.get('iframe') ? this.iframeEval(code) : eval.call(window, code);
+				item._class = this.resultClass(item.result);
+				this.keepResult(item, item.result);
+
+				// Promises are shown as pending, until they settle
+				if ( item.result && _.isFunction(item.result.then) ) this.resolve(item, item.result);
+			} catch(error) {
+				item.result = error;
+				item._class = "error";
+				this.keepResult(item, error, true);
+			}
+			this.evaluating = null;
+
+			// Say so if the command (or an earlier one) couldn't run where it should have
+			if ( (warning = this.fallbackWarning()) ) this.addLog(item, 'warn', [warning]);
+
+			// Add the item to the history
+			return this.addHistory(item);
+		}
+	}),
+
+
+	/**
+	 * Sandbox.themes
+	 * 
+	 * Colour themes for the View's `theme` option (see `View.setTheme`), as values for the CSS custom
+	 * properties in sandbox.css, so `string : "#99f"` sets `--sandbox-string`. The CSS defaults are
+	 * the "dark" theme. Add your own here, or override the properties in your own stylesheet
+	 */
+	themes : {
+		dark : {
+			background : "#333", foreground : "#f7f7f7", text : "#ccc", muted : "#777", subtle : "#aaa",
+			panel : "#444", selection : "#666", log : "#bbb", link : "#9cf", error : "#f77",
+			string : "#99f", number : "#7f7", atom : "#f9c", keyword : "#f96", special : "#fc6",
+			comment : "#777", punctuator : "#ccc"
+		},
+		light : {
+			background : "#fdfdfd", foreground : "#222", text : "#444", muted : "#999", subtle : "#777",
+			panel : "#eee", selection : "#ccc", log : "#555", link : "#06c", error : "#c00",
+			string : "#22a", number : "#080", atom : "#a0a", keyword : "#a40", special : "#b70",
+			comment : "#999", punctuator : "#555"
+		}
+	},
+
+
+	/**
+	 * The Sandbox.View
+	 * 
+	 * Defers to the Sandbox.Model for history, evaluation and persistence
+	 * Takes care of all the rendering, controls, events and special commands
+	 */
+	View : Backbone.View.extend({
+		initialize: function(opts) {
+			_.bindAll(this);
+
+			// Set up the history state (the up/down access to command history)
+			this.historyState = this.model.get('history').length;
+			this.currentHistory = "";
+			this.draft = ""; // what was typed before moving through the history, to filter it by
+			this.search = null; // the ctrl+R search: `{ query, index, draft, failed }`
+			this.listings = {}; // the history items listed by each `:history`, for its links
+
+			// Set up the View Options
+			this.resultPrefix = opts.resultPrefix || "  => ";
+			this.tabCharacter = opts.tabCharacter || "\t";
+			this.outputLimit = opts.outputLimit || 100; // how many history items to show at first (and how many more each time)
+			this.logLimit = opts.logLimit || 100; // how many console messages to show per item, before "show all"
+			this.previewLimit = opts.previewLimit || 2000; // how long a result can get, before "show all"
+			this.highlightInput = opts.highlightInput !== false; // whether to highlight the input as it's typed
+			this.placeholder = opts.placeholder || "// type some javascript and hit enter (:help for info)";
+			this.helpText = opts.helpText || "type javascript commands into the console, hit enter to evaluate. \n[up/down] to scroll through history (starting with what's typed), [ctrl + R] to search it, ':clear' to reset it. \nunfinished commands carry on over several lines, [shift + return] adds a line anyway. \n[tab] to complete global and property names. \n$_ is the last result, and $1, $2 etc. are the numbered ones (click a number to insert it).";
+
+			// Register the built-in special commands, and any passed in as options
+			this.commands = {};
+			_.each(_.extend({}, Sandbox.commands, opts.commands), function(command, name) {
+				this.registerCommand(name, command);
+			}, this);
+
+			// The plugins added with `use` (or the `plugins` option), whose middleware and renderers run in order
+			this.plugins = [];
+
+			// Bind to the model's change event to update the View's output
+			this.model.bind("change", this.updateOutput);
+
+			// When a command has its result (straight away, or once it settles), let listeners know
+			this.model.bind("command", this.resultReady);
+			this.model.bind("settle", this.resultReady);
+
+			// When a session's history has been loaded (or switched), reset the history state and redraw
+			this.model.bind("session", this.sessionLoaded);
+
+			// Delegate key and input events to View input
+			this.el.delegate("textarea", {
+				keydown : this.keydown,
+				keypress : this.keypress,
+				input : this.resizeInput
+			});
+
+			// Delegate click events to View output (expanding/collapsing inspected objects, or focusing the input)
+			this.el.delegate(".output .inspect > .summary", {
+				click : this.toggleEntries
+			});
+			this.el.delegate(".output .ref", {
+				click : this.insertRef
+			});
+			this.el.delegate(".output .earlier", {
+				click : this.showEarlier
+			});
+			this.el.delegate(".output .show-all", {
+				click : this.showAll
+			});
+			this.el.delegate(".output .history-action", {
+				click : this.historyAction
+			});
+			this.el.delegate(".output", {
+				click : this.focus
+			});
+
+			// Bind drag and drop events to the View, to import dropped transcript files
+			this.el.bind({
+				dragover : this.dragFile,
+				drop : this.dropFile
+			});
+
+			// Delegate click event to the tab completion suggestions (on mousedown, before the textarea blurs)
+			this.el.delegate(".suggestions li", {
+				mousedown : this.clickSuggestion
+			});
+
+			// Render the textarea
+			this.render();
+			if ( opts.theme ) this.setTheme(opts.theme);
+			_.each(opts.plugins, function(plugin) {
+				this.use(plugin);
+			}, this);
+
+			// Commands to pre-fill the input with, one after another (eg. from a shared link)
+			this.queue = [];
+			this.model.shared.done(this.openShared);
+		},
+
+		// The templating functions for the View and each history item
+		template: _.template( $('#tplSandbox').html() ),
+		format : _.template( $('#tplCommand').html() ),
+
+		// Renders the Sandbox View initially and stores references to the elements
+		render: function() {
+			this.el.html(this.template({
+				placeholder : this.placeholder
+			}));
+
+			this.textarea = this.el.find("textarea");
+			this.output = this.el.find(".output");
+
+			// The output shows the latest history items, each in its own element (see `updateOutput`),
+			// after a link to show earlier ones
+			this.earlier = $('<span class="earlier"/>').hide().appendTo(this.output);
+			this.rendered = [];
+			this.shown = this.outputLimit;
+
+			// The list of tab completion suggestions, shown above the input when there are several
+			this.suggestions = $('<ul class="suggestions"/>').hide().appendTo(this.el.find(".input"));
+
+			// The ctrl+R history search, also shown above the input
+			this.searchBar = $('<div class="search"/>').hide().appendTo(this.el.find(".input"));
+
+			// The highlighted copy of the input, shown behind the (transparent) text in the textarea
+			if ( this.highlightInput ) {
+				this.highlighted = $('<pre class="highlight"/>').prependTo(this.el.find(".input").addClass("highlighted"));
+			}
+
+			return this;
+		},
+		
+		// Updates the Sandbox View, redrawing the output and checking the input's value
+		update : function() {
+			this.updateOutput();
+			this.updateInput();
+		},
+
+		// Resets the up/down history state to the end of the Model's (new) history and redraws it
+		sessionLoaded : function() {
+			this.historyState = this.model.get('history').length;
+			this.currentHistory = "";
+			this.shown = this.outputLimit;
+			this.updateOutput();
+		},
+
+		// Brings the output up to date with the Model's history, without redrawing all of it: items
+		// that are new get added, items that changed (eg. a promise settled) get redrawn in place, and
+		// items that are gone get removed. Only the latest `shown` items are in the output at all
+		updateOutput : function() {
+			var output = this.output[0],
+				history = _.reject(this.model.get('history'), function(item) {
+					return item._hidden;
+				}),
+				start = Math.max(0, history.length - this.shown),
+				visible = history.slice(start),
+				previous = this.rendered,
+				// Stay at the bottom if the output was scrolled there, or else keep the same items in view
+				bottom = output.scrollHeight - output.scrollTop - output.clientHeight < 5,
+				anchor = _.detect(previous, function(record) {
+					return _.include(visible, record.item);
+				}),
+				top = anchor && anchor.el[0].offsetTop,
+				// Only items after the newest one already shown count as added (not earlier ones shown above it)
+				newest = _.last(_.select(previous, function(record) {
+					return _.include(visible, record.item);
+				})),
+				passed = !newest,
+				added = false,
+				last = this.earlier;
+
+			_.each(previous, function(record) {
+				if ( !_.include(visible, record.item) ) record.el.remove();
+			});
+
+			this.rendered = _.map(visible, function(item) {
+				var record = _.detect(previous, function(record) {
+					return record.item === item;
+				});
+
+				if ( !record ) {
+					record = { item : item, el : $('<span class="item"/>').insertAfter(last) };
+					added = added || passed;
+				}
+				if ( record === newest ) passed = true;
+				if ( record.stale || record.result !== item.result || record._class !== item._class || record.logs !== _.size(item.logs) + (item.dropped || 0) ) {
+					record.el.html(this.renderItem(item, record.full));
+					record.stale = false;
+					record.result = item.result;
+					record._class = item._class;
+					record.logs = _.size(item.logs) + (item.dropped || 0);
+				}
+
+				last = record.el;
+				return record;
+			}, this);
+
+			this.earlier.text(start ? "\u25B4 " + start + " earlier commands (show more)\n" : "").toggle(start > 0);
+
+			// Scroll to the bottom, so that new commands are visible, or make up for items added/removed above
+			if ( bottom || added ) {
+				this.output.scrollTop(output.scrollHeight - output.clientHeight);
+			} else if ( anchor ) {
+				this.output.scrollTop(output.scrollTop + anchor.el[0].offsetTop - top);
+			}
+		},
+
+		// Redraws every item in the output, in place (eg. once a plugin changes how results are rendered)
+		redraw : function() {
+			_.each(this.rendered, function(record) {
+				record.stale = true;
+			});
+			this.updateOutput();
+		},
+
+		// Renders a history item with the command format template, cutting down very long console output
+		// and results (with a link to show them all) unless `full` is passed
+		renderItem : function(item, full) {
+			var logs = item.logs,
+				node = this.transformResult(item),
+				result = node,
+				more = "";
+
+			if ( !full && _.size(logs) > this.logLimit ) {
+				more = '<span class="show-all">\u2026 ' + (logs.length - this.logLimit) + ' more messages (show all)</span>\n';
+				logs = logs.slice(0, this.logLimit);
+			}
+			if ( !full && node && _.isString(node.preview) && node.preview.length > this.previewLimit ) {
+				result = _.extend({}, node, { preview : node.preview.slice(0, this.previewLimit) + "\u2026" });
+				result = this.renderValue(result) + ' <span class="show-all">(show all ' + node.preview.length + ' characters)</span>';
+			} else {
+				result = _.isUndefined(result) ? "" : this.renderValue(result);
+			}
+
+			return this.format({
+				_hidden : item._hidden,
+				_class : item._class,
+				command : this.highlight(item.command),
+				ref : item.ref ? "$" + item.ref : "",
+				logs : (item.dropped ? '<span class="log info">\u2026 ' + item.dropped + ' earlier messages were dropped</span>\n' : "") + this.renderLogs(logs) + more,
+				result : result
+			});
+		},
+
+		// Shows another lot of earlier history items at the top of the output
+		showEarlier : function() {
+			this.shown += this.outputLimit;
+			this.updateOutput();
+			return false;
+		},
+
+		// Redraws a history item with all of its console output and result, when "show all" is clicked
+		showAll : function(e) {
+			var el = $(e.currentTarget).closest(".item")[0],
+				record = _.detect(this.rendered, function(record) {
+					return record.el[0] === el;
+				});
+
+			if ( record ) {
+				record.full = true;
+				record.el.html(this.renderItem(record.item, true));
+			}
+			return false;
+		},
+
+		// Sets the textarea to the value of the currently selected history item
+		updateInput : function() {
+			// Update the textarea's `rows` attribute, as history items may be multiple lines
+			this.textarea.val(this.currentHistory).attr('rows', this.currentHistory.split("\n").length);
+			this.hideSuggestions();
+			this.updateHighlight();
+		},
+
+		// Redraws the highlighted copy of the input (the extra line break keeps a trailing empty line)
+		updateHighlight : function() {
+			if ( this.highlighted ) this.highlighted.html(this.highlight(this.textarea.val()) + "\n");
+		},
+
+		// Highlights javascript for the output or the input, wrapping each token in a span for its type
+		// (see `Sandbox.tokenize`). Special commands are highlighted as a whole
+		highlight : function(code) {
+			var html = "",
+				pos = 0;
+
+			if ( (/^\s*:/).test(code) ) return '<span class="token special">' + this.toEscaped(code) + '</span>';
+
+			_.each(Sandbox.tokenize(code), function(token) {
+				html += this.toEscaped(code.slice(pos, token.start)) + '<span class="token ' + token.type + '">' + this.toEscaped(code.slice(token.start, token.end)) + '</span>';
+				pos = token.end;
+			}, this);
+			return html + this.toEscaped(code.slice(pos));
+		},
+
+		// Switches to a colour theme: the name of one in `Sandbox.themes`, or an object of colours
+		setTheme : function(theme) {
+			_.each(_.isString(theme) ? Sandbox.themes[theme] : theme, function(value, name) {
+				this.el[0].style.setProperty("--sandbox-" + name, value);
+			}, this);
+			return this;
+		},
+
+		// Manually set the value in the sandbox textarea and focus it ready to submit:
+		setValue : function(command) {
+			this.currentHistory = command;
+			this.updateInput();
+			this.setCaret( this.textarea.val().length );
+			this.textarea.focus();
+			return false;
+		},
+
+		// Returns the index of the cursor inside the textarea
+		getCaret : function() {
+			if (this.textarea[0].selectionStart) {
+				return this.textarea[0].selectionStart; 
+			} else if (document.selection) { 
+				// This is for IE (apparently ... not tested yet)
+				this.textarea[0].focus();
+				var r = document.selection.createRange();
+				if (r === null) return 0;
+	
+				var re = this.textarea[0].createTextRange(),
+				rc = re.duplicate();
+				re.moveToBookmark(r.getBookmark());
+				rc.setEndPoint('EndToStart', re);
+	
+				return rc.text.length;
+			}
+			// If nothing else, assume index 0
+			return 0;
+		},
+
+		// Sets the cursor position inside the textarea (not IE, afaik)
+		setCaret: function(index) {
+			this.textarea[0].selectionStart = index;
+			this.textarea[0].selectionEnd = index;
+		},
+
+		// The kinds of result whose previews are highlighted like code (see `Sandbox.inspect`)
+		highlightTypes : /^(object|array|typedarray|map|set|weakmap|weakset|promise|function|arraybuffer|boxed)$/,
+
+		// Renders a result description from `Sandbox.inspect` into HTML, with collapsed entries
+		// Nested values get a class for their type, top-level ones use the item's `_class`
+		renderValue : function(node, nested) {
+			var html;
+
+			if ( !_.isObject(node) ) return this.toEscaped(node);
+
+			// Plugins' renderers get the first go at each description (see `use`)
+			if ( _.detect(this.plugins, function(plugin) {
+				return plugin.render && _.isString(html = plugin.render(node, nested, this));
+			}, this) ) return html;
+
+			if ( node.type === 'html' ) return node.html;
+			if ( node.type === 'error' && !nested ) return this.renderError(node);
+
+			var value = '<span class="' + (nested ? this.toEscaped(node.type) : 'value') + '">' + (this.highlightTypes.test(node.type) ? this.highlight(node.preview) : this.toEscaped(node.preview)) + '</span>';
+			if ( !node.entries ) return value;
+
+			return '<span class="inspect"><span class="summary"><span class="toggle"></span>' + value + '</span><span class="entries">' +
+				_.map(node.entries, this.renderEntry).join('') +
+				(node.more ? '<span class="entry more">\u2026 ' + this.toEscaped(node.more) + ' more</span>' : '') +
+			'</span></span>';
+		},
+
+		// Renders one (key: value) entry of an inspected object
+		renderEntry : function(entry) {
+			return '<span class="entry' + (entry.hidden ? ' hidden' : '') + '"><span class="key">' + this.toEscaped(entry.key) + '</span>: ' + this.renderValue(entry.value, true) + '</span>';
+		},
+
+		// Renders an error from `Model.errorDetails`: the line a syntax error is on, with a caret under
+		// it, and the stack frames (then any other properties) as collapsed entries
+		renderError : function(node) {
+			var value = '<span class="value">' + this.toEscaped(node.preview) + '</span>',
+				entries = _.reject(node.entries, function(entry) {
+					return entry.key === "stack" || entry.key === "message";
+				}),
+				indent, caret;
+
+			if ( node.source && node.location ) {
+				// Line the caret up under the result, keeping any tabs so that it ends up in the right column
+				indent = this.resultPrefix.replace(/[^\t]/g, " ");
+				caret = node.source.slice(0, node.location.column - 1).replace(/[^\t]/g, " ");
+				value += '<span class="source">\n' + this.toEscaped(indent + node.source) + '\n' + indent + caret + '^</span>';
+			}
+			if ( !entries.length && !_.size(node.frames) ) return value;
+
+			return '<span class="inspect"><span class="summary"><span class="toggle"></span>' + value + '</span><span class="entries">' +
+				_.map(node.frames, function(frame) {
+					return '<span class="entry frame">' + this.toEscaped(frame) + '</span>';
+				}, this).join('') +
+				_.map(entries, this.renderEntry).join('') +
+				(node.more ? '<span class="entry more">\u2026 ' + this.toEscaped(node.more) + ' more</span>' : '') +
+			'</span></span>';
+		},
+
+		// Renders the console messages logged by a command, one line for each call
+		renderLogs : function(logs) {
+			return _.reduce(logs, function(memo, log) {
+				return memo + '<span class="log ' + this.toEscaped(log.level) + '">' + _.map(log.args, function(arg) {
+					return this.renderValue(arg);
+				}, this).join(' ') + '</span>\n';
+			}, '', this);
+		},
+
+		// Inserts a result's reference (eg. `$3`) into the input at the cursor, when its label is clicked
+		insertRef : function(e) {
+			var ref = $(e.currentTarget).text(),
+				value = this.textarea.val(),
+				caret = this.getCaret();
+
+			this.currentHistory = value.slice(0, caret) + ref + value.slice(caret);
+			this.updateInput();
+			this.setCaret(caret + ref.length);
+			this.textarea.focus();
+			return false;
+		},
+
+		// Expands or collapses the entries of an inspected object in the output
+		toggleEntries : function(e) {
+			$(e.currentTarget).parent().toggleClass('open');
+			return false;
+		},
+
+		// Escapes a string so that it can be safely html()'ed into the output:
+		toEscaped: function(string) {
+		    return String(string)
+	            .replace(/&/g, '&amp;')
+	            .replace(/"/g, '&quot;')
+	            .replace(/'/g, '&#39;')
+	            .replace(/</g, '&lt;')
+	            .replace(/>/g, '&gt;');
+		},
+
+		// Focuses the input textarea
+		focus: function(e) {
+			e.preventDefault();
+			this.textarea.focus();
+			return false;
+		},
+		
+		// The keydown handler, that controls all the input
+		keydown: function(e) {
+			var modifier = e.shiftKey || e.ctrlKey || e.altKey,
+				value = this.textarea.val(),
+				caret = this.getCaret();
+
+			// Ctrl+R searches back through the history (again, for an older match)
+			if ( e.ctrlKey && e.which === 82 ) {
+				this.searchHistory();
+				return false;
+			}
+
+			// While searching, typing and backspace change the search (see `keypress`), escape or ctrl+G
+			// cancel it, and other keys (like enter or the arrows) accept the match, then carry on as usual
+			if ( this.search ) {
+				if ( e.which === 8 ) {
+					this.search.query = this.search.query.slice(0, -1);
+					this.findMatch(this.model.get('history').length);
+					return false;
+				}
+				if ( e.which === 27 || (e.ctrlKey && e.which === 71) ) {
+					this.endSearch(false);
+					return false;
+				}
+				if ( !e.ctrlKey && !e.altKey && !e.metaKey && !_.include([9, 13, 33, 34, 35, 36, 37, 38, 39, 40, 45, 46], e.which) ) return;
+
+				this.endSearch(true);
+				value = this.textarea.val();
+				caret = this.getCaret();
+			}
+
+			// While tab completion suggestions are shown, up/down select one, tab/enter accepts it,
+			// and anything else closes them
+			if ( this.completion ) {
+				if ( e.which === 38 || e.which === 40 ) {
+					this.completion.selected = (this.completion.selected + e.which - 39 + this.completion.names.length) % this.completion.names.length;
+					this.showSuggestions();
+					return false;
+				}
+				if ( e.which === 9 || e.which === 13 ) {
+					this.acceptSuggestion();
+					return false;
+				}
+				this.hideSuggestions();
+				if ( e.which === 27 ) return false;
+			}
+
+			// Enter submits the command
+			if (e.which === 13) {
+				e.preventDefault();
+
+				// If shift/ctrl/alt is down, or the command isn't finished, start a new line instead (also when
+				// it's only finished by the closing brackets after the caret, eg. inside a function body)
+				if ( modifier || this.incomplete(value) || ((/^[\s)\]}]*$/).test(value.slice(caret)) && this.incomplete(value.slice(0, caret))) ) {
+					this.newline();
+					return false;
+				}
+				
+				// If submitting a command, set the currentHistory to blank (empties the textarea on update)
+				this.currentHistory = "";
+	
+				this.run( value );
+
+				// If there are more commands waiting, pre-fill the input with the next one
+				if ( this.queue.length ) this.currentHistory = this.queue.shift();
+				this.updateInput();
+				
+				return false;
+			}
+	
+			// Up / down keys cycle through past history, or move up/down between the lines of a multi-line
+			// command (only cycling from its first or last line)
+			if ( !modifier && (e.which === 38 || e.which === 40) ) {
+				if ( e.which === 38 ? value.lastIndexOf("\n", caret - 1) > -1 : value.indexOf("\n", caret) > -1 ) return;
+				e.preventDefault();
+				this.navigate(e.which - 39);
+				return false;
+			}
+	
+			// Tab completes the name before the caret, or adds a tab character (instead of jumping focus)
+			if ( e.which === 9 ) {
+				e.preventDefault();
+				this.complete();
+				return false;
+			}
+
+			// Backspace between an empty pair of brackets deletes them both
+			if ( e.which === 8 && !modifier && this.textarea[0].selectionEnd === caret && _.include(["()", "[]", "{}"], value.slice(caret - 1, caret + 1)) ) {
+				this.replaceText(caret - 1, caret + 1, "");
+				return false;
+			}
+		},
+
+		// The keypress handler, which closes brackets as they are opened (and types over the closing
+		// ones), outside of strings, comments and special commands. While searching the history, the
+		// characters typed are added to the search instead
+		keypress : function(e) {
+			var pairs = { "(" : ")", "[" : "]", "{" : "}" },
+				character = String.fromCharCode(e.which),
+				value = this.textarea.val(),
+				caret = this.getCaret(),
+				next = value.charAt(caret),
+				last = _.last(Sandbox.tokenize(value.slice(0, caret))),
+				line;
+
+			if ( this.search ) {
+				if ( e.which >= 32 && !e.ctrlKey && !e.metaKey ) {
+					this.search.query += character;
+					this.findMatch(this.search.index + 1);
+				}
+				return false;
+			}
+
+			if ( e.ctrlKey || e.altKey || e.metaKey || this.textarea[0].selectionEnd !== caret ) return;
+			if ( !pairs[character] && !_.include(_.values(pairs), character) ) return;
+			if ( (/^\s*:/).test(value) || (last && (last.closed === false || (last.type === "comment" && last.end === caret && (/^\/\//).test(last.value)))) ) return;
+
+			// Opening brackets get closed, unless they're right before something else
+			if ( pairs[character] ) {
+				if ( !(/^[\s)\]};,]?$/).test(next) ) return;
+				this.replaceText(caret, caret, character + pairs[character], caret + 1);
+				return false;
+			}
+
+			// Closing brackets type over the same one after the caret
+			if ( next === character ) {
+				this.setCaret(caret + 1);
+				return false;
+			}
+
+			// Closing brackets on a line of their own take away a level of indentation
+			line = value.slice(value.lastIndexOf("\n", caret - 1) + 1, caret);
+			if ( (/^\s+$/).test(line) && line.slice(-this.tabCharacter.length) === this.tabCharacter ) {
+				this.replaceText(caret - this.tabCharacter.length, caret, character);
+				return false;
+			}
+		},
+
+		// Moves through the history with up/down (`direction` is -1 for older, +1 for newer), skipping
+		// commands that are the same as the one showing (so runs of duplicates only count once) and,
+		// if something was typed before moving away from it, those that don't start with it
+		navigate : function(direction) {
+			var history = this.model.get('history'),
+				current = this.textarea.val(),
+				index = Math.min(this.historyState, history.length);
+
+			if ( index === history.length ) this.draft = current;
+
+			do {
+				index += direction;
+			} while ( index >= 0 && index < history.length && (history[index].command === current || history[index].command.indexOf(this.draft) !== 0) );
+
+			// Nothing older to go to, or else back to what was typed
+			if ( index < 0 ) return;
+			this.historyState = Math.min(index, history.length);
+			this.currentHistory = index < history.length ? history[index].command : this.draft;
+			this.updateInput();
+		},
+
+		// Starts a reverse incremental search through the history (like ctrl+R in a terminal), or
+		// finds the next older match if already searching
+		searchHistory : function() {
+			if ( !this.search ) {
+				this.search = { query : "", index : this.model.get('history').length, draft : this.textarea.val() };
+				this.hideSuggestions();
+			}
+			this.findMatch(this.search.index, true);
+		},
+
+		// Finds the latest command before `from` (an index in the history) that contains the search,
+		// skipping the current match if `next` is passed, and shows it in the input
+		findMatch : function(from, next) {
+			var search = this.search,
+				history = this.model.get('history'),
+				current = history[search.index],
+				index;
+
+			for ( index = Math.min(from, history.length) - 1; index >= 0; index-- ) {
+				if ( history[index].command.indexOf(search.query) > -1 && !(next && current && history[index].command === current.command) ) break;
+			}
+
+			search.failed = index < 0;
+			if ( !search.failed ) search.index = index;
+			this.renderSearch();
+		},
+
+		// Shows the search above the input with the match highlighted, and the matching command in the
+		// input with the match selected
+		renderSearch : function() {
+			var search = this.search,
+				match = search.query && this.model.get('history')[search.index],
+				command = match ? match.command : "",
+				at = match ? command.indexOf(search.query) : -1;
+
+			this.searchBar.html(
+				'<span class="label">' + (search.failed ? 'failed ' : '') + 'reverse search:</span> ' + this.toEscaped(search.query) +
+				(at > -1 ? '\n' + this.toEscaped(command.slice(0, at)) + '<span class="match">' + this.toEscaped(search.query) + '</span>' + this.toEscaped(command.slice(at + search.query.length)) : match ? '\n' + this.toEscaped(command) : '')
+			).show();
+
+			if ( at > -1 ) {
+				this.currentHistory = command;
+				this.updateInput();
+				this.textarea[0].selectionStart = at;
+				this.textarea[0].selectionEnd = at + search.query.length;
+			}
+		},
+
+		// Stops searching, keeping the match in the input (from where up/down carry on) if `accept` is
+		// passed, or else going back to what was typed before
+		endSearch : function(accept) {
+			var search = this.search,
+				match = search.query && this.model.get('history')[search.index];
+
+			this.search = null;
+			this.searchBar.hide();
+
+			if ( accept && match ) {
+				this.historyState = search.index;
+				this.setCaret(this.textarea.val().length);
+			} else {
+				this.currentHistory = search.draft;
+				this.updateInput();
+			}
+		},
+
+		// Re-runs, pins or deletes a command from a `:history` listing, when one of its links is clicked
+		historyAction : function(e) {
+			var link = $(e.currentTarget),
+				entry = link.closest(".history-entry"),
+				item = (this.listings[entry.attr("data-listing")] || [])[entry.attr("data-index")],
+				action = link.attr("data-action");
+
+			if ( !item || !_.include(this.model.get('history'), item) ) return false;
+
+			if ( action === "run" ) {
+				this.run(item.command);
+			} else if ( action === "pin" ) {
+				this.model.pinHistory(item, !item.pinned);
+				entry.toggleClass("pinned", !!item.pinned);
+				link.text(item.pinned ? "unpin" : "pin");
+			} else if ( action === "delete" ) {
+				this.model.removeHistory(item);
+				entry.addClass("deleted").find(".history-action").remove();
+			}
+			return false;
+		},
+
+		// Whether a command is unfinished, so that Enter starts a new line instead of running it: it has
+		// brackets left open, an unterminated string, template or comment, or ends with an operator
+		incomplete : function(command) {
+			var tokens = Sandbox.tokenize(command),
+				depth = 0,
+				last = _.last(_.reject(tokens, function(token) {
+					return token.type === "comment";
+				}));
+
+			if ( (/^\s*:/).test(command) ) return false;
+			if ( _.last(tokens) && _.last(tokens).closed === false ) return true;
+
+			_.each(tokens, function(token) {
+				if ( token.type === "punctuator" && (/^[(\[{]$/).test(token.value) ) depth++;
+				if ( token.type === "punctuator" && (/^[)\]}]$/).test(token.value) ) depth--;
+			});
+			if ( depth > 0 ) return true;
+
+			return !!last && ((last.type === "punctuator" && !(/^([)\]};]|\+\+|--)$/).test(last.value)) ||
+				(last.type === "keyword" && (/^(in|instanceof|typeof|new|delete|void|else|do|extends|case)$/).test(last.value)));
+		},
+
+		// Starts a new line at the caret, indented like the current line (and one level more after an
+		// opening bracket). Between a pair of brackets, the closing one goes on a line of its own too
+		newline : function() {
+			var value = this.textarea.val(),
+				caret = this.getCaret(),
+				line = value.slice(value.lastIndexOf("\n", caret - 1) + 1, caret),
+				indent = (/^[ \t]*/).exec(line)[0],
+				opened = (/[(\[{]\s*$/).test(line),
+				text = "\n" + indent + (opened ? this.tabCharacter : "");
+
+			if ( opened && (/^[)\]}]/).test(value.slice(caret)) ) {
+				this.replaceText(caret, caret, text + "\n" + indent, caret + text.length);
+			} else {
+				this.replaceText(caret, caret, text);
+			}
+		},
+
+		// Replaces the input's text between `start` and `end` (keeping the history in step), and moves
+		// the caret to `caret`, or else just after the new text
+		replaceText : function(start, end, text, caret) {
+			var value = this.textarea.val();
+
+			this.currentHistory = value.slice(0, start) + text + value.slice(end);
+			this.updateInput();
+			this.setCaret(_.isUndefined(caret) ? start + text.length : caret);
+		},
+
+		// Keeps the textarea tall enough for all of the lines in it (eg. after pasting), and its
+		// highlighting up to date
+		resizeInput : function() {
+			this.textarea.attr('rows', this.textarea.val().split("\n").length);
+			this.updateHighlight();
+		},
+
+		// Inserts some text at the caret, and moves the caret to just after it
+		insertText : function(text) {
+			var value = this.textarea.val(),
+				caret = this.getCaret();
+
+			this.textarea.val(value.slice(0, caret) + text + value.slice(caret));
+			this.setCaret(caret + text.length);
+			this.updateHighlight();
+		},
+
+		// Tab completion: completes the special command, global or `foo.bar.` property before the caret
+		// against the sandbox scope, or inserts the tab character if there's nothing to complete
+		complete : function() {
+			var view = this,
+				value = this.textarea.val(),
+				caret = this.getCaret(),
+				before = value.slice(0, caret),
+				command = (/^\s*(:\w*)$/).exec(before),
+				match = (/(?:^|[^\w$.])((?:[A-Za-z_$][\w$]*\s*\.\s*)*)([A-Za-z_$][\w$]*)?$/).exec(before),
+				last = _.last(Sandbox.tokenize(before));
+
+			if ( command ) {
+				return this.suggest(command[1], _.select(_.map(_.keys(this.commands).sort(), function(name) {
+					return ':' + name;
+				}), function(name) {
+					return name.indexOf(command[1]) === 0;
+				}));
+			}
+
+			// Nothing to complete if the caret isn't after a name (or is inside a comment or string)
+			if ( !match || !(match[1] || match[2]) || (last && last.end === caret && (/^(comment|string|template|number)$/).test(last.type)) ) {
+				return this.insertText(this.tabCharacter);
+			}
+
+			this.model.complete(match[1].replace(/\s+/g, "").replace(/\.$/, ""), match[2] || "").done(function(names) {
+				// Ignore the names if the input changed while waiting for them
+				if ( view.textarea.val() === value && view.getCaret() === caret ) view.suggest(match[2] || "", names);
+			});
+		},
+
+		// Completes as much of the word as all the names share, and lists them if there are several
+		suggest : function(word, names) {
+			var common = names[0] || "";
+
+			if ( !names.length ) return this.insertText(this.tabCharacter);
+
+			_.each(names, function(name) {
+				while ( name.indexOf(common) !== 0 ) common = common.slice(0, -1);
+			});
+			this.insertText(common.slice(word.length));
+
+			if ( names.length > 1 ) {
+				this.completion = { word : common, names : names.slice(0, 200), selected : 0 };
+				this.showSuggestions();
+			}
+		},
+
+		// Renders the list of suggestions, highlighting the selected one
+		showSuggestions : function() {
+			var completion = this.completion;
+
+			this.suggestions.html(_.map(completion.names, function(name, index) {
+				return '<li' + (index === completion.selected ? ' class="selected"' : '') + '>' + this.toEscaped(name) + '</li>';
+			}, this).join('')).show();
+
+			// Keep the selected suggestion scrolled into view
+			var selected = this.suggestions.find('.selected')[0];
+			if ( selected ) this.suggestions.scrollTop(selected.offsetTop - this.suggestions.height() / 2);
+		},
+
+		hideSuggestions : function() {
+			this.completion = null;
+			this.suggestions.hide().empty();
+		},
+
+		// Inserts the rest of the selected suggestion
+		acceptSuggestion : function() {
+			var completion = this.completion;
+
+			this.hideSuggestions();
+			this.insertText(completion.names[completion.selected].slice(completion.word.length));
+		},
+
+		clickSuggestion : function(e) {
+			this.completion.selected = $(e.currentTarget).index();
+			this.acceptSuggestion();
+			this.textarea.focus();
+			return false;
+		},
+		
+		// Registers a special command, eg. `sandbox.registerCommand('hello', { ... })` for `:hello`
+		// Options are a `description` and `args` (a usage string like "<name>") for ':help', and the
+		// `handler(args, output)`, called with the View as `this`. The handler's return value is shown
+		// as the result: strings as plain text, promises once they settle, `false` for no history item.
+		// `output.print(value, level)` and `output.html(markup)` write extra lines under the command,
+		// and `output.html(markup)` can also be returned as the result.
+		registerCommand : function(name, options) {
+			name = name.replace(/^:/, '');
+			this.commands[name] = _.extend({ name : name, description : "", args : "" }, options);
+			return this;
+		},
+
+		// Adds a plugin, which is an object with any of:
+		//   `commands` : special commands to register along with it, by name (see `registerCommand`)
+		//   `events` : listeners for the View's events, by name ("evaluate", "result" and "error")
+		//   `command(code, view)` : middleware returning the code to run for a javascript command (or `false` not to)
+		//   `result(node, item)` : middleware returning the description to render for an item's result
+		//   `render(node, nested, view)` : a renderer returning HTML for a description, or nothing to pass
+		//   `initialize(view)` : called once the plugin has been added
+		// Every function is called with the plugin as `this`, and middleware runs in the order plugins were added
+		use : function(plugin) {
+			this.plugins.push(plugin);
+
+			_.each(plugin.commands, function(command, name) {
+				this.registerCommand(name, command);
+			}, this);
+			_.each(plugin.events, function(callback, name) {
+				this.bind(name, callback, plugin);
+			}, this);
+			if ( plugin.initialize ) plugin.initialize(this);
+
+			// The output may look different now
+			if ( plugin.result || plugin.render ) this.redraw();
+			return this;
+		},
+
+		// Passes a javascript command through the plugins' `command` middleware, returning the code to run
+		transformCommand : function(command) {
+			return _.reduce(this.plugins, function(code, plugin) {
+				return plugin.command && code !== false ? plugin.command(code, this) : code;
+			}, command, this);
+		},
+
+		// Passes an item's result description through the plugins' `result` middleware, for rendering
+		// (it's called every time the item is drawn, so middleware should return a new description
+		// rather than changing the one in the history). Pending results are left as they are
+		transformResult : function(item) {
+			var node = item.result;
+
+			_.each(this.plugins, function(plugin) {
+				if ( plugin.result && !item.pending && !_.isUndefined(node) ) node = plugin.result(node, item);
+			});
+			return node;
+		},
+
+		// Triggers the View's "result" event when a command has its result, or "error" if it failed
+		resultReady : function(item, value) {
+			if ( !item.pending ) this.trigger(item._class === "error" ? "error" : "result", item, value);
+		},
+
+		// Splits a special command's arguments at spaces, except inside "double" or 'single' quotes
+		parseArgs : function(string) {
+			var pattern = /"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|(\S+)/g,
+				args = [],
+				match;
+
+			while ( (match = pattern.exec(string)) ) {
+				if ( match[3] ) args.push(match[3]);
+				else args.push((match[1] || match[2] || "").replace(/\\(.)/g, "$1"));
+			}
+			return args;
+		},
+		
+		// Runs a command as if it was entered, returning the item added to the history (if any)
+		run : function(command) {
+			var last = _.last(this.model.get('history')),
+				item, code;
+
+			// Run the command past the special commands to check for ':help' and ':clear' etc.
+			if ( !this.specialCommands( command ) ) {
+
+				// If if wasn't a special command, run it through the plugins' middleware (a failure there
+				// is the command's result), let listeners know, and pass off to the Sandbox Model to evaluate and save
+				try {
+					code = this.transformCommand(command);
+				} catch(error) {
+					this.model.addHistory({ command : command, result : error, _class : "error" });
+					code = false;
+				}
+				if ( code !== false ) {
+					this.trigger("evaluate", code, command);
+					this.model.evaluate( command, code );
+				}
+			}
+
+			// Update the View's history state to reflect the latest history item
+			this.historyState = this.model.get('history').length;
+
+			item = _.last(this.model.get('history'));
+			return item !== last ? item : null;
+		},
+
+		// Returns the history as a transcript (see `Model.transcript`), leaving out the items added
+		// by a replay and the special commands that don't change the sandbox (unless their `replay`
+		// option is true, or a function that returns true for the command's input)
+		transcript : function() {
+			var history = this.model.get('history');
+
+			return _.select(this.model.transcript(), function(entry, index) {
+				var match = (/^\s*:([\w\-]+)(?:\s+([\s\S]*))?$/).exec(entry.command),
+					command = match && this.commands[match[1]];
+
+				if ( history[index].replayed ) return false;
+				if ( !match ) return true;
+				return !!command && (_.isFunction(command.replay) ? command.replay(match[2] || "") : !!command.replay);
+			}, this);
+		},
+
+		// Runs a list of commands one by one, as if they were entered, waiting for any pending results
+		// in between. Calls `each(item, index)` as each one finishes (if it added a history item)
+		// Returns a promise for when they've all finished
+		runAll : function(commands, each) {
+			var view = this,
+				model = this.model,
+				deferred = $.Deferred(),
+				index = 0;
+
+			function finished(item) {
+				if ( each ) each(item, index - 1);
+				_.defer(next);
+			}
+
+			function next() {
+				var item;
+
+				if ( index >= commands.length ) return deferred.resolve();
+
+				item = view.run(commands[index++]);
+				if ( !item ) return next();
+				if ( !item.pending ) return finished(item);
+
+				model.bind("settle", function settled(settledItem) {
+					if ( settledItem !== item ) return;
+					model.unbind("settle", settled);
+					finished(item);
+				});
+			}
+
+			next();
+			return deferred.promise();
 		},
 
-		// The Sandbox Model tries to use the localStorage adapter to save the command history
-		localStorage: new Store("SandboxConsole"),
-		
-		// Parser for restoring the Model's state
-		// Backbone.localStorage adapter stores a collection, so grab the first 'model'
-		parse : function(data) {	
+		// Re-runs the commands from a transcript, noting where the new results differ from the
+		// recorded ones. Returns a promise for the number of differences
+		replay : function(transcript) {
+			var model = this.model,
+				differences = 0;
 
-			// `parse` also fires when doing a save, so just return the model for that
-			if ( !_.isArray(data) || data.length < 1 || !data[0] ) return data;
+			return this.runAll(_.pluck(transcript, "command"), function(item, index) {
+				var recorded = transcript[index].result,
+					result = item.result ? item.result.preview : undefined;
 
-			// Hide the saved command history, so that they don't show up in output,
-			// and delete the results and classes from each, because they won't be needed
-			data[0].history = _.map(data[0].history, function(command) {
-				command._hidden = true;
-				if ( command.result ) delete command.result;
-				if ( command._class ) delete command._class;
-				return command;
+				item.replayed = true;
+				if ( !_.isUndefined(recorded) && result !== recorded ) {
+					differences++;
+					model.addLog(item, "warn", [{ type : "text", preview : "differs from the recorded result: " + recorded }]);
+				}
+			}).pipe(function() {
+				return differences;
 			});
-
-			// Shouldn't save whether/not this is sandboxed (it's confusing)
-			delete data[0].iframe;
-			return data[0];
 		},
 
-		// Inspect an object and output the results
-		// todo: Implement a custom stringify similar to jsconsole.com, to include native
-		// and circular objects, and all object methods
-		stringify : function(obj) {
-			try {
-				return JSON.stringify(obj);
-			} catch(e) {
-				return obj.toString();
-			}
-		},
+		// Opens the commands from a shared link (see `Model.readShare`): either pre-fills the input with
+		// each one in turn, or runs them all, after asking the visitor first
+		openShared : function(commands) {
+			var code = commands.join("\n"),
+				shown = code.slice(0, 500);
 
-		// Adds a new item to the history
-		addHistory: function(item) {
-			var history = this.get('history');
+			if ( !commands.length ) return;
 
-			// Tidy up the item's result
-			if (_.isString(item.result)) item.result = '\"' + item.result.toString().replace(/"/g, '\\"') + '\"';
-			if (_.isFunction(item.result)) item.result = item.result.toString().replace(/"/g, '\\"');
-			if (_.isObject(item.result)) item.result = this.stringify(item.result).replace(/"/g, '\\"');
-			if (_.isUndefined(item.result)) item.result = "undefined";
+			// Long code is cut short in the confirmation, so say so (and how much there is in all)
+			if ( shown.length < code.length ) {
+				shown += "\n\u2026 (cut short: showing " + shown.length + " of " + code.length + " characters, in " + commands.length + " command(s))";
+			}
 
-			// Add the command and result to the history
-			history.push(item);
+			if ( this.model.get('share') === "run" ) {
+				if ( window.confirm("This link contains code to run in the console:\n\n" + shown + "\n\nRun all of it now?") ) {
+					this.runAll(commands);
+					return;
+				}
+			}
 
-			// Update the history state and save the model
-			this.set({ history : history }).change();
-			this.save();
+			this.queue = commands.slice(1);
+			this.currentHistory = commands[0];
+			this.updateInput();
+		},
 
-			return this;
+		// Allows files to be dropped onto the console
+		dragFile : function(e) {
+			var transfer = e.originalEvent.dataTransfer;
+			if ( transfer && _.include(transfer.types, "Files") ) e.preventDefault();
 		},
 
-		// Creates the sandbox iframe, if needed, and stores it
-		iframeSetup : function() {
-			this.sandboxFrame = $('<iframe width="0" height="0"/>').css({visibility : 'hidden'}).appendTo('body')[0];
-			this.sandbox = this.sandboxFrame.contentWindow;
+		// Imports a transcript file dropped onto the console (see the `:import` command)
+		dropFile : function(e) {
+			var files = e.originalEvent.dataTransfer && e.originalEvent.dataTransfer.files,
+				view = this,
+				reader;
 
-			// This should help IE run eval inside the iframe.
-			if (!this.sandbox.eval && this.sandbox.execScript) {
-				this.sandbox.execScript("null");
-			}
+			if ( !files || !files.length || !window.FileReader ) return;
+			e.preventDefault();
+
+			reader = new FileReader();
+			reader.onload = function() {
+				view.run(":import " + reader.result);
+				view.updateInput();
+			};
+			reader.readAsText(files[0]);
 		},
 
-		// Runs `eval` safely inside the sandboxed iframe
-		iframeEval : function(command) {
-			// Set up the iframe if not set up already (in case iframe has been enabled):
-			if ( !this.sandbox ) this.iframeSetup();
+		// Checks for special commands (like ':help'). If one is found, runs it and returns true
+		specialCommands: function(command) {
+			var match = (/^\s*:([\w\-]+)(?:\s+([\s\S]*))?$/).exec(command),
+				view = this,
+				markup = [],
+				item, definition, result, output;
 
-			// Evaluate inside the sandboxed iframe, if possible.
-			// If fallback is allowed, use basic eval, or else throw an error.
-			return this.sandbox.eval ? this.sandbox.eval(command) : this.get('fallback') ? eval(command) : new Error("Can't evaluate inside the iframe - please report this bug along with your browser information!");
-		},
+			// If it's not a special command, return false so the command gets evaluated
+			if ( !match ) return false;
 
-		// One way of loading scripts into the document or the sandboxed iframe:
-		load : function(src) {
-			var script = document.createElement('script');
-			script.type = "text/javascript";
-			script.src = src;
+			item = { command : command };
+			definition = this.commands[match[1]];
 
-			if ( this.get('iframe') ) {
-				return this.sandboxFrame ? this.sandboxFrame.contentDocument.body.appendChild(script) : new Error("sandbox: iframe has not been created yet, cannot load " + src);
-			} else {
-				return document.body.appendChild(script);
+			if ( !definition ) {
+				item.result = new Error("Unknown command ':" + match[1] + "' - type ':help' for the list of commands");
+				item._class = "error";
+				this.model.addHistory(item);
+				return true;
 			}
-		},
 
-		// Evaluate a command and save it to history
-		evaluate: function(command) {
-			if ( !command )
-				return false;
+			// Turns a handler's return value into the description to show
+			function describe(value) {
+				if ( _.isString(value) ) return { type : "text", preview : value };
+				if ( _.include(markup, value) ) return value;
+				return Sandbox.inspect(value);
+			}
 
-			var item = {
-				command : command
+			// Adds the item to the history again, if it's been replaced since the item was added
+			function readd() {
+				if ( !_.include(view.model.get('history'), item) ) view.model.addHistory(item, true);
+			}
+
+			// The helpers for handlers to write extra lines of output under the command
+			output = {
+				print : function(value, level) {
+					view.model.addLog(item, level || "log", [describe(value)]);
+				},
+				html : function(html) {
+					var node = { type : "html", html : html, preview : "" };
+					markup.push(node);
+					return node;
+				}
 			};
-			
-			// Evaluate the command and store the eval result, adding some basic classes for syntax-highlighting
+
 			try {
-				item.result = this.get('iframe') ? this.iframeEval(command) : eval.call(window, command);
-				if ( _.isUndefined(item.result) ) item._class = "undefined";
-				if ( _.isNumber(item.result) ) item._class = "number";
-				if ( _.isString(item.result) ) item._class = "string";
+				result = definition.handler.call(this, this.parseArgs(match[2] || ""), output, match[2] || "");
 			} catch(error) {
-				item.result = error.toString();
+				item.result = error;
 				item._class = "error";
+				this.model.addHistory(item);
+				return true;
 			}
 
-			// Add the item to the history
-			return this.addHistory(item);
+			// Commands returning `false` leave no trace in the history
+			if ( result === false ) return true;
+
+			if ( result && _.isFunction(result.then) ) {
+				this.model.resolve(item, result, describe);
+			} else if ( !_.isUndefined(result) ) {
+				item.result = describe(result);
+				item._class = this.model.resultClass(result);
+			}
+
+			this.model.addHistory(item, true);
+
+			// If the history was replaced while the command was pending (eg. by switching to a session
+			// that loaded from an async store), the settled item goes into the new history instead
+			if ( item.pending ) result.then(readd, readd);
+			return true;
 		}
 	}),
 
 
 	/**
-	 * The Sandbox.View
+	 * Sandbox.Tutorial
 	 * 
-	 * Defers to the Sandbox.Model for history, evaluation and persistence
-	 * Takes care of all the rendering, controls, events and special commands
+	 * A guided walkthrough for a Sandbox.View: shows each step's text above the input, pre-fills
+	 * the input with the step's command, and checks the visitor's result before moving on (or
+	 * gives them a hint). Progress is saved per tutorial, using the Sandbox Model's store
 	 */
-	View : Backbone.View.extend({
+	Tutorial : Backbone.View.extend({
+		className : "tutorial",
+
+		// Creates the tutorial's element with jQuery (Backbone can't, if it was loaded before jQuery)
+		make : function(tagName, attributes) {
+			return $("<" + tagName + "/>").attr(attributes || {})[0];
+		},
+
 		initialize: function(opts) {
 			_.bindAll(this);
 
-			// Set up the history state (the up/down access to command history)
-			this.historyState = this.model.get('history').length;
-			this.currentHistory = "";
+			// The Sandbox.View to run in, the tutorial's name (for saving progress) and its steps, which
+			// are `{ text, command, expect, check, hints, success }` (see the docs)
+			this.sandbox = opts.sandbox;
+			this.name = opts.name || "tutorial";
+			this.steps = opts.steps || [];
 
-			// Set up the View Options
-			this.resultPrefix = opts.resultPrefix || "  => ";
-			this.tabCharacter = opts.tabCharacter || "\t";
-			this.placeholder = opts.placeholder || "// type some javascript and hit enter (:help for info)";
-			this.helpText = opts.helpText || "type javascript commands into the console, hit enter to evaluate. \n[up/down] to scroll through history, ':clear' to reset it. \n[alt + return/up/down] for returns and multi-line editing.";
+			this.el = $(this.el).hide();
+			this.step = 0;
+			this.hint = 0;
+			this.completed = false;
+		},
 
-			// Bind to the model's change event to update the View
-			this.model.bind("change", this.update);
+		// Returns the storage key for this tutorial's progress
+		storageKey : function() {
+			return this.sandbox.model.get('name') + "/tutorial:" + this.name;
+		},
 
-			// Delegate key and mouse events to View input
-			this.el.delegate("textarea", {
-				keydown : this.keydown,
-				keyup : this.keyup
-			});
+		// Starts (or resumes) the tutorial, from the saved progress
+		start : function() {
+			var tutorial = this,
+				model = this.sandbox.model;
 
-			// Delegate click event to View output
-			this.el.delegate(".output", {
-				click : this.focus
-			});
+			// Only one tutorial runs in a console at once
+			if ( this.sandbox.tutorial && this.sandbox.tutorial !== this ) this.sandbox.tutorial.stop();
+			this.sandbox.tutorial = this;
 
-			// Render the textarea
-			this.render();
+			// Starting again (eg. to resume) mustn't check each result twice
+			this.el.insertBefore(this.sandbox.el.find(".input")).show();
+			model.unbind("command", this.command);
+			model.bind("command", this.command);
+
+			return model.store.read(this.storageKey()).pipe(function(progress) {
+				progress = progress || {};
+				tutorial.completed = !!progress.completed;
+				tutorial.go(Math.min(progress.step || 0, tutorial.steps.length - 1));
+				return tutorial;
+			}, function() {
+				tutorial.go(0);
+				return tutorial;
+			});
 		},
 
-		// The templating functions for the View and each history item
-		template: _.template( $('#tplSandbox').html() ),
-		format : _.template( $('#tplCommand').html() ),
+		// Stops the tutorial and removes it from the console (the progress is kept)
+		stop : function() {
+			this.sandbox.model.unbind("command", this.command);
+			this.sandbox.model.unbind("settle", this.settle);
+			if ( this.sandbox.tutorial === this ) delete this.sandbox.tutorial;
+			this.el.remove();
+			return this;
+		},
 
-		// Renders the Sandbox View initially and stores references to the elements
-		render: function() {
-			this.el.html(this.template({
-				placeholder : this.placeholder
-			}));
+		// Moves to a step, showing its text and pre-filling the input with its command
+		go : function(index) {
+			var step = this.steps[index];
+			if ( !step ) return this;
 
-			this.textarea = this.el.find("textarea");
-			this.output = this.el.find(".output");
+			this.step = index;
+			this.hint = 0;
+			this.save();
+			this.render();
 
+			if ( step.command ) this.sandbox.setValue(step.command);
 			return this;
 		},
-		
-		// Updates the Sandbox View, redrawing the output and checking the input's value
-		update : function() {
-			this.output.html(
-				// Reduce the Model's history into HTML, using the command format templating function
-				_.reduce(this.model.get('history'), function(memo, command) {
-					return memo + this.format({
-						_hidden : command._hidden,
-						_class : command._class,
-						command : this.toEscaped(command.command),
-						result :  this.toEscaped(command.result)
-					});
-				}, "", this)
-			);
-			
-			// Set the textarea to the value of the currently selected history item
-			// Update the textarea's `rows` attribute, as history items may be multiple lines
-			this.textarea.val(this.currentHistory).attr('rows', this.currentHistory.split("\n").length);
 
-			// Scroll the output to the bottom, so that new commands are visible
-			this.output.scrollTop(
-				this.output[0].scrollHeight - this.output.height()
+		// Saves the tutorial's progress
+		save : function() {
+			this.sandbox.model.store.write(this.storageKey(), {
+				step : this.step,
+				completed : this.completed
+			});
+		},
+
+		// Shows the current step (step texts can contain markup), or that the tutorial is complete
+		render : function() {
+			var step = this.steps[this.step] || {};
+
+			this.el.html(
+				'<span class="progress">' + (this.completed ? "complete" : "step " + (this.step + 1) + " of " + this.steps.length) + '</span>' +
+				'<span class="text">' + (step.text || "") + '</span>'
 			);
+			return this;
 		},
 
-		// Manually set the value in the sandbox textarea and focus it ready to submit:
-		setValue : function(command) {
-			this.currentHistory = command;
-			this.update();
-			this.setCaret( this.textarea.val().length );
-			this.textarea.focus();
-			return false;
+		// Checks each command the visitor runs (except special commands), once its result is ready
+		command : function(item, value) {
+			if ( (/^\s*:/).test(item.command) ) return;
+
+			if ( item.pending ) {
+				this.waiting = item;
+				this.sandbox.model.bind("settle", this.settle);
+			} else {
+				this.check(item, value);
+			}
+		},
+		settle : function(item, value) {
+			if ( item !== this.waiting ) return;
+			this.sandbox.model.unbind("settle", this.settle);
+			delete this.waiting;
+			this.check(item, value);
 		},
 
-		// Returns the index of the cursor inside the textarea
-		getCaret : function() {
-			if (this.textarea[0].selectionStart) {
-				return this.textarea[0].selectionStart; 
-			} else if (document.selection) { 
-				// This is for IE (apparently ... not tested yet)
-				this.textarea[0].focus();
-				var r = document.selection.createRange();
-				if (r === null) return 0;
-	
-				var re = this.textarea[0].createTextRange(),
-				rc = re.duplicate();
-				re.moveToBookmark(r.getBookmark());
-				rc.setEndPoint('EndToStart', re);
-	
-				return rc.text.length;
+		// Checks an item's result against the current step: with the step's `check(value, item)`
+		// function, or its `expect`ed value (compared by their descriptions), or else any result that
+		// isn't an error passes. Then moves on, or shows the next hint under the command
+		check : function(item, value) {
+			var step = this.steps[this.step],
+				model = this.sandbox.model,
+				passed;
+
+			if ( !step || this.completed ) return;
+
+			if ( item._class === "error" ) passed = false;
+			else if ( step.check ) passed = !!step.check(value, item);
+			else if ( step.hasOwnProperty("expect") ) passed = Sandbox.inspect(step.expect).preview === item.result.preview;
+			else passed = true;
+
+			if ( !passed ) {
+				model.addLog(item, "warn", [{ type : "text", preview : this.nextHint() }]);
+				return;
 			}
-			// If nothing else, assume index 0
-			return 0;
+
+			model.addLog(item, "info", [{ type : "text", preview : step.success || "\u2713 that's right!" }]);
+			if ( this.step < this.steps.length - 1 ) return this.go(this.step + 1);
+
+			this.completed = true;
+			this.save();
+			this.render();
 		},
 
-		// Sets the cursor position inside the textarea (not IE, afaik)
-		setCaret: function(index) {
-			this.textarea[0].selectionStart = index;
-			this.textarea[0].selectionEnd = index;
+		// Returns the current step's next hint, or suggests its command once they've run out
+		nextHint : function() {
+			var step = this.steps[this.step] || {},
+				hints = step.hints || [];
+
+			if ( this.hint < hints.length ) return hints[this.hint++];
+			return step.command ? "not quite - try `" + step.command + "`" : "not quite - try again";
+		}
+	}),
+
+
+	/**
+	 * Sandbox.commands
+	 * 
+	 * The built-in special commands, registered on every View (see `View.registerCommand`)
+	 */
+	commands : {
+		help : {
+			description : "shows this help",
+			handler : function() {
+				var commands = _.sortBy(_.values(this.commands), function(command) {
+						return command.name;
+					}),
+					width = _.max(_.map(commands, function(command) {
+						return (command.name + " " + command.args).length;
+					}));
+
+				return this.helpText + "\n\nspecial commands:\n" + _.map(commands, function(command) {
+					var usage = ":" + command.name + (command.args ? " " + command.args : "");
+					return "  " + usage + new Array(width + 4 - usage.length).join(" ") + command.description;
+				}).join("\n");
+			}
 		},
 
-		// Escapes a string so that it can be safely html()'ed into the output:
-		toEscaped: function(string) {
-		    return String(string)
-		    	.replace(/\\"/g, '"')
-	            .replace(/&/g, '&amp;')
-	            .replace(/"/g, '&quot;')
-	            .replace(/'/g, '&#39;')
-	            .replace(/</g, '&lt;')
-	            .replace(/>/g, '&gt;');
+		clear : {
+			description : "clears the command history (apart from pinned commands)",
+			handler : function() {
+				this.model.destroy();
+				return false;
+			}
 		},
 
-		// Focuses the input textarea
-		focus: function(e) {
-			e.preventDefault();
-			this.textarea.focus();
-			return false;
+		history : {
+			description : "lists the command history, to re-run, pin or delete commands",
+			handler : function(args, output) {
+				var history = this.model.get('history'),
+					width = String(history.length).length,
+					listing = _.uniqueId("listing");
+
+				if ( !history.length ) return "the history is empty";
+
+				// Remember the items listed, for the links to act on (see `View.historyAction`)
+				this.listings[listing] = history.slice();
+
+				return output.html(_.map(history, function(item, index) {
+					var number = String(index + 1);
+					return '<span class="history-entry' + (item.pinned ? ' pinned' : '') + '" data-listing="' + listing + '" data-index="' + index + '">' +
+						new Array(width - number.length + 1).join(" ") + number + "  " + this.toEscaped(item.command.replace(/\n/g, "\n" + new Array(width + 3).join(" "))) + "  " +
+						'<span class="history-action" data-action="run">run</span> ' +
+						'<span class="history-action" data-action="pin">' + (item.pinned ? 'unpin' : 'pin') + '</span> ' +
+						'<span class="history-action" data-action="delete">delete</span></span>';
+				}, this).join("\n"));
+			}
 		},
-		
-		// The keydown handler, that controls all the input
-		keydown: function(e) {
-			// Register shift, control and alt keydown
-			if ( _([16,17,18]).indexOf(e.which, true) > -1 ) this.ctrl = true;
 
-			// Enter submits the command
-			if (e.which === 13) {
-				e.preventDefault();
-				var val = this.textarea.val();
+		load : {
+			description : "loads scripts into the sandbox, one after another",
+			args : "<url> [<url> ...]",
+			replay : true,
+			handler : function(args) {
+				if ( !args.length ) throw new Error("Usage: :load <url> [<url> ...]");
+				return this.model.loadAll(args).pipe(function(urls) {
+					return "loaded " + urls.join(", ");
+				});
+			}
+		},
 
-				// If shift is down, do a carriage return
-				if ( this.ctrl ) {
-					this.currentHistory = val + "\n";
-					this.update();
-					return false;
-				}
-				
-				// If submitting a command, set the currentHistory to blank (empties the textarea on update)
-				this.currentHistory = "";
-	
-				// Run the command past the special commands to check for ':help' and ':clear' etc.
-				if ( !this.specialCommands( val ) ) {
+		"export" : {
+			description : "shows the history as a transcript to copy or download",
+			args : "[json|markdown|js]",
+			handler : function(args, output) {
+				var format = args[0] || "json",
+					types = { json : "application/json", markdown : "text/markdown", js : "text/javascript" },
+					extensions = { json : "json", markdown : "md", js : "js" },
+					text;
 
-					// If if wasn't a special command, pass off to the Sandbox Model to evaluate and save
-					this.model.evaluate( val );
+				if ( !types[format] ) throw new Error("Usage: :export [json|markdown|js]");
+				text = this.model.exportTranscript(this.transcript(), format);
+
+				if ( window.Blob && window.URL && URL.createObjectURL ) {
+					output.print(output.html('<a href="' + URL.createObjectURL(new Blob([text], { type : types[format] })) + '" download="sandbox-transcript.' + extensions[format] + '">download sandbox-transcript.' + extensions[format] + '</a>'));
 				}
-	
-				// Update the View's history state to reflect the latest history item
-				this.historyState = this.model.get('history').length;
-				
-				return false;
+				return text;
 			}
-	
-			// Up / down keys cycle through past history or move up/down
-			if ( !this.ctrl && (e.which === 38 || e.which === 40) ) {
-				e.preventDefault();
+		},
 
-				var history = this.model.get('history');
-				
-				// `direction` is -1 or +1 to go forward/backward through command history
-				var direction = e.which - 39;
-				this.historyState += direction;
-	
-				// Keep it within bounds
-				if (this.historyState < 0) this.historyState = 0;
-				else if (this.historyState >= history.length) this.historyState = history.length;
-				
-				// Update the currentHistory value and update the View
-				this.currentHistory = history[this.historyState] ? history[this.historyState].command : "";
-				this.update();
+		"import" : {
+			description : "imports an ES module, or adds the commands from a transcript (pasted after it, or a dropped file) to the history",
+			args : "<names> from \"<url>\" | <transcript>",
 
-				return false;
+			// Matches ES module imports, like `_ from "lodash.js"`, `{ map } from "..."` or just `"..."`
+			module : /^\s*(?:([\s\S]+?)\s+from\s+)?(["'])([^"'\n]+)\2\s*;?\s*$/,
+
+			// Module imports change the sandbox, so they're replayed (but transcripts aren't)
+			replay : function(input) {
+				return this.module.test(input);
+			},
+
+			handler : function(args, output, input) {
+				var module = this.commands["import"].module.exec(input),
+					transcript;
+
+				if ( module ) {
+					return this.model.importModule(module[1], module[3]).pipe(function(names) {
+						return "imported " + (names.length ? names.join(", ") + " from " : "") + module[3];
+					});
+				}
+
+				transcript = this.model.parseTranscript(input);
+
+				if ( !transcript.length ) throw new Error("Usage: :import <transcript> (paste one after the command, or drop a transcript file onto the console)");
+				this.model.importTranscript(transcript);
+				return "imported " + transcript.length + " command(s) - type ':replay' to run them";
 			}
-	
-			// Tab adds a tab character (instead of jumping focus)
-			if ( e.which === 9 ) {
-				e.preventDefault();
+		},
 
-				// Get the value, and the parts between which the tab character will be inserted
-				var value = this.textarea.val(),
-					caret = this.getCaret(),
-					parts = [
-						value.slice(0, caret),
-						value.slice(caret, value.length)
-					];
-				
-				// Insert the tab character into the value and update the textarea
-				this.textarea.val(
-					parts[0] + this.tabCharacter + parts[1]
-				);
+		share : {
+			description : "puts the commands from the history into a link to share",
+			handler : function(args, output) {
+				var view = this,
+					commands = _.pluck(this.transcript(), "command");
 
-				// Set the caret (cursor) position to just after the inserted tab character
-				this.setCaret(caret + this.tabCharacter.length);
+				if ( !commands.length ) return "there are no commands to share";
 
-				return false;
+				return this.model.share(commands).pipe(function(url) {
+					output.print(output.html('<a href="' + view.toEscaped(url) + '" target="_blank">open the link in a new tab</a>'));
+					return url;
+				});
 			}
 		},
-		
-		// The keyup handler, used to switch off shift/alt keys
-		keyup: function(e) {
-			// Register shift, alt and control keyup
-			if ( _([16,17,18]).indexOf(e.which, true) > -1 ) this.ctrl = false;
+
+		replay : {
+			description : "runs the commands in the history again in a fresh sandbox, noting any different results",
+			handler : function(args, output) {
+				var view = this,
+					transcript = this.transcript(),
+					deferred = $.Deferred();
+
+				if ( !transcript.length ) return "there are no commands to replay";
+				if ( !this.model.reset() ) output.print("Commands run in the page's own scope, which can't be reset, so they're replayed in it", "warn");
+
+				// Start once this command is in the history, so the replayed commands appear after it,
+				// and the preloaded scripts are back in the fresh sandbox
+				_.defer(function() {
+					view.model.preloaded.always(function() {
+						view.replay(transcript).done(deferred.resolve);
+					});
+				});
+
+				return deferred.pipe(function(differences) {
+					return "replayed " + transcript.length + " command(s): " + (differences ? differences + " result(s) differed from the recorded ones" : "all of the results matched");
+				});
+			}
 		},
-		
-		// Checks for special commands. If any are found, performs their action and returns true
-		specialCommands: function(command) {
-			if (command === ":clear") {
-				this.model.destroy();
-				return true;
+
+		reset : {
+			description : "starts a fresh sandbox, losing everything defined in it (and loads the preloaded scripts again)",
+			handler : function() {
+				var done = function() {
+					return "the sandbox was reset";
+				};
+
+				if ( !this.model.reset() ) throw new Error("Commands run in the page's own scope, which can't be reset (try `iframe` or `worker` mode)");
+				return this.model.preloaded.pipe(done, done);
 			}
-			if ( command === ":help" ) {
-				return this.model.addHistory({
-					command : ':help',
-					result : this.helpText
+		},
+
+		session : {
+			description : "lists, starts, switches between or deletes the named sessions",
+			args : "[list|new|switch|delete] [<name>]",
+			handler : function(args) {
+				var model = this.model,
+					action = args[0] || "list",
+					name = args[1],
+					current = model.get('session'),
+					failure = function(message) {
+						return $.Deferred().reject(new Error(message));
+					};
+
+				if ( !_.include(["list", "new", "switch", "delete"], action) || (action !== "list" && !name) ) {
+					throw new Error("Usage: :session [list|new|switch|delete] [<name>]");
+				}
+
+				return model.sessions().pipe(function(sessions) {
+					var exists = name === "default" || _.include(sessions, name);
+
+					if ( action === "list" ) {
+						return _.map(_.uniq(["default", current].concat(sessions.sort())), function(session) {
+							return (session === current ? "* " : "  ") + session;
+						}).join("\n");
+					}
+					if ( action === "new" ) {
+						if ( exists ) return failure("The session '" + name + "' already exists (use `:session switch " + name + "`)");
+						return model.switchSession(name).pipe(function() {
+							return "started the session '" + name + "'";
+						});
+					}
+					if ( !exists ) return failure("There's no session called '" + name + "'");
+					if ( action === "switch" ) {
+						return model.switchSession(name).pipe(function() {
+							return "switched to the session '" + name + "'";
+						});
+					}
+					return model.deleteSession(name).pipe(function() {
+						return "deleted the session '" + name + "'";
+					});
 				});
 			}
-			// `:load <script src>`
-			if ( command.indexOf(":load") > -1 ) {
-				return this.model.addHistory({
-					command : command,
-					result : this.model.load( command.substring(6) )
+		},
+
+		tutorial : {
+			description : "shows the current tutorial step, or moves between the steps",
+			args : "[next|back|hint|restart|stop]",
+			handler : function(args, output) {
+				var tutorial = this.tutorial;
+
+				if ( !tutorial ) throw new Error("There's no tutorial running");
+
+				switch ( args[0] ) {
+					case undefined:
+						return output.html((tutorial.steps[tutorial.step] || {}).text || "");
+					case "next":
+					case "back":
+						tutorial.go(tutorial.step + (args[0] === "next" ? 1 : -1));
+						return false;
+					case "hint":
+						return tutorial.nextHint();
+					case "restart":
+						tutorial.completed = false;
+						tutorial.go(0);
+						return false;
+					case "stop":
+						tutorial.stop();
+						return "the tutorial was stopped";
+				}
+				throw new Error("Usage: :tutorial [next|back|hint|restart|stop]");
+			}
+		},
+
+		vars : {
+			description : "lists the globals defined in the sandbox since it started (by commands, or scripts loaded since)",
+			handler : function() {
+				return this.model.globals().pipe(function(names) {
+					return names.length ? names.join("\n") : "no globals have been defined in the sandbox";
 				});
-			} 
+			}
+		},
 
-			// If no special commands, return false so the command gets evaluated
-			return false;
+		version : {
+			description : "shows the version of the sandbox console",
+			handler : function() {
+				return "javascript sandbox console " + Sandbox.VERSION;
+			}
 		}
-	})
+	}
 };